@@ -3,6 +3,9 @@
  * Vercel passes the path segments as req.query.path (array or string)
  */
 const handler = require('../src/httpServer.js');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('vercel');
 
 module.exports = async function(req, res) {
   // Reconstruct the URL path from Vercel's path parameter
@@ -43,7 +46,7 @@ module.exports = async function(req, res) {
   req.url = url;
 
   // Log for debugging
-  console.log(`[VERCEL] Reconstructed URL: ${url} from path segments:`, pathSegments, `req.url:`, req.url);
+  log.debug('Reconstructed URL', { url, path_segments: pathSegments });
 
   // Call the original handler
   return handler(req, res);
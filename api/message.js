@@ -2,6 +2,9 @@
  * Vercel API route handler for /message endpoint
  */
 const handler = require('../src/httpServer.js');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('vercel');
 
 module.exports = async function(req, res) {
   // Normalize the URL - Vercel may pass /api/message or /message
@@ -26,7 +29,7 @@ module.exports = async function(req, res) {
   req.url = normalizedUrl;
   
   // Log for debugging
-  console.log(`[VERCEL message.js] Original URL: ${originalUrl}, Normalized: ${normalizedUrl}`);
+  log.debug('Normalized URL', { original_url: originalUrl, url: normalizedUrl });
   
   try {
     return await handler(req, res);
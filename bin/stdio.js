@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * stdio entry point for desktop MCP clients
+ * Launched as a local subprocess: JSON-RPC goes over stdin/stdout
+ *
+ * Logs go to stderr, at the warn level unless LOG_LEVEL says otherwise;
+ * --quiet silences them entirely.
+ */
+
+const { configureLogger, createLogger } = require('../src/logger.js');
+
+// stdout carries the protocol stream, so every log line goes to stderr
+configureLogger({
+  stream: process.stderr,
+  level: process.argv.includes('--quiet') ? 'silent' : process.env.LOG_LEVEL || 'warn',
+});
+
+const { createMCPServer } = require('../src/mcpServer.js');
+
+const log = createLogger('stdio');
+
+async function main() {
+  const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+
+  const server = await createMCPServer();
+  const transport = new StdioServerTransport();
+
+  transport.onclose = () => {
+    log.info('Transport closed');
+    process.exit(0);
+  };
+
+  await server.connect(transport);
+  log.info('MCP Server connected via stdio');
+}
+
+main().catch((error) => {
+  log.error('Fatal error', { error });
+  process.exit(1);
+});
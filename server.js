@@ -5,6 +5,9 @@
 
 const http = require('http');
 const handler = require('./src/httpServer.js');
+const { createLogger } = require('./src/logger.js');
+
+const log = createLogger('server');
 
 const PORT = process.env.PORT || 3000;
 
@@ -13,7 +16,7 @@ const server = http.createServer(async (req, res) => {
   try {
     await handler(req, res);
   } catch (error) {
-    console.error('[SERVER] Unhandled error:', error);
+    log.error('Unhandled error', { error });
     if (!res.headersSent) {
       res.writeHead(500);
       res.end(JSON.stringify({ error: 'Internal server error' }));
@@ -22,15 +25,16 @@ const server = http.createServer(async (req, res) => {
 });
 
 server.listen(PORT, () => {
-  console.log(`🚀 MCP Server running on http://localhost:${PORT}`);
-  console.log(`📡 SSE endpoint: http://localhost:${PORT}/message`);
-  console.log(`📨 POST endpoint: http://localhost:${PORT}/message`);
-  console.log(`🏥 Health check: http://localhost:${PORT}/ping`);
-  console.log('\nPress Ctrl+C to stop the server\n');
+  log.info('MCP Server running', {
+    url: `http://localhost:${PORT}`,
+    streamable_http: `http://localhost:${PORT}/mcp`,
+    sse: `http://localhost:${PORT}/message`,
+    health_check: `http://localhost:${PORT}/ping`,
+  });
 });
 
 server.on('error', (error) => {
-  console.error('[SERVER] Server error:', error);
+  log.error('Server error', { error });
   process.exit(1);
 });
 
@@ -0,0 +1,132 @@
+/**
+ * Optional authentication of MCP HTTP clients
+ *
+ * Keys come from MCP_AUTH_KEYS (inline) or MCP_AUTH_KEYS_FILE (path to a JSON file).
+ * Both accept a JSON object mapping each client key to either the Opendatasoft
+ * apikey to use for that client on the default portal, or to
+ * { "name": "...", "apikey": "...", "apikeys": { "<portal>": "..." } }.
+ * MCP_AUTH_KEYS also accepts a plain comma-separated list of keys.
+ * Authentication is disabled when no key is configured.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { DEFAULT_PORTAL } = require('./portals.js');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('auth');
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+function parseKeys(raw, source) {
+  const trimmed = raw.trim();
+  if (!trimmed) {
+    return {};
+  }
+  if (trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${source}: ${error.message}`);
+    }
+  }
+  return Object.fromEntries(
+    trimmed
+      .split(',')
+      .map((key) => key.trim())
+      .filter(Boolean)
+      .map((key) => [key, null])
+  );
+}
+
+/**
+ * Load the configured clients, indexed by the SHA-256 of their key
+ */
+function loadClients() {
+  const entries = {
+    ...(process.env.MCP_AUTH_KEYS_FILE
+      ? parseKeys(fs.readFileSync(process.env.MCP_AUTH_KEYS_FILE, 'utf-8'), process.env.MCP_AUTH_KEYS_FILE)
+      : {}),
+    ...parseKeys(process.env.MCP_AUTH_KEYS || '', 'MCP_AUTH_KEYS'),
+  };
+
+  const clients = new Map();
+  Object.entries(entries).forEach(([key, value], i) => {
+    const config = typeof value === 'string' ? { apikey: value } : value || {};
+    clients.set(hashKey(key), {
+      id: config.name || `client-${i + 1}`,
+      // Upstream API keys by portal name; "apikey" is for the default portal
+      apikeys: {
+        ...(config.apikey ? { [DEFAULT_PORTAL]: config.apikey } : {}),
+        ...config.apikeys,
+      },
+    });
+  });
+  return clients;
+}
+
+let clients = null;
+
+function getClients() {
+  if (!clients) {
+    clients = loadClients();
+    if (clients.size > 0) {
+      log.info('Authentication enabled', { clients: clients.size });
+    }
+  }
+  return clients;
+}
+
+function isAuthEnabled() {
+  return getClients().size > 0;
+}
+
+/**
+ * Read the client key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function extractKey(req) {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Authenticate a request.
+ * Returns { client } on success (client is null when authentication is disabled),
+ * or { error } with a message for the 401 response.
+ */
+function authenticateRequest(req) {
+  if (!isAuthEnabled()) {
+    return { client: null };
+  }
+  const key = extractKey(req);
+  if (!key) {
+    return { error: 'Missing credentials: send "Authorization: Bearer <key>" or "X-API-Key: <key>"' };
+  }
+  const client = getClients().get(hashKey(key));
+  if (!client) {
+    return { error: 'Invalid API key' };
+  }
+  return { client: { ...client, token: key } };
+}
+
+/**
+ * AuthInfo object the MCP SDK passes to request handlers as extra.authInfo
+ */
+function toAuthInfo(client) {
+  return {
+    token: client.token,
+    clientId: client.id,
+    scopes: [],
+    extra: { apikeys: client.apikeys },
+  };
+}
+
+module.exports = {
+  isAuthEnabled,
+  authenticateRequest,
+  toAuthInfo,
+};
@@ -0,0 +1,277 @@
+/**
+ * Multi-level cache for upstream portal responses
+ *
+ * A TieredCache looks entries up in its stores in order (in-memory LRU first,
+ * then an optional on-disk or Redis store), promotes hits to the faster levels,
+ * revalidates expired entries with ETag / Last-Modified, and serves stale
+ * entries while refreshing them in the background.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('cache');
+
+// Per tool call record of cache lookups, surfaced in tool output metadata
+const cacheTraceStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn while recording every cache lookup it makes.
+ * Resolves to { result, trace } where trace is [{ kind, status }].
+ */
+async function runWithCacheTrace(fn) {
+  const trace = [];
+  const result = await cacheTraceStorage.run(trace, fn);
+  return { result, trace };
+}
+
+function recordCacheLookup(kind, status) {
+  const trace = cacheTraceStorage.getStore();
+  if (trace) {
+    trace.push({ kind, status });
+  }
+}
+
+/**
+ * In-memory LRU store bounded by entry count and approximate size in bytes
+ */
+class MemoryLRUStore {
+  constructor({ maxEntries = 500, maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return null;
+    }
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  async set(key, entry) {
+    const size = Buffer.byteLength(JSON.stringify(entry.data) || '');
+    if (size > this.maxBytes) {
+      return;
+    }
+    await this.delete(key);
+    this.entries.set(key, { entry, size });
+    this.totalBytes += size;
+
+    while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      await this.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    const item = this.entries.get(key);
+    if (item) {
+      this.entries.delete(key);
+      this.totalBytes -= item.size;
+    }
+  }
+}
+
+/**
+ * On-disk store: one JSON file per entry, so the cache survives restarts
+ */
+class FileStore {
+  constructor({ directory }) {
+    this.directory = directory;
+    this.ready = fs.promises.mkdir(directory, { recursive: true });
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf-8'));
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await this.ready;
+    const file = this.filePath(key);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify({ ...entry, key }));
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+}
+
+/**
+ * Adapter for a Redis-compatible client (node-redis v4, ioredis, Upstash...).
+ * The client needs get(key), set(key, value) and del(key) returning promises;
+ * pExpire / pexpire is used when available so Redis drops dead entries itself.
+ */
+class RedisStore {
+  constructor({ client, prefix = 'hg-mcp:', maxAgeMs = 24 * 60 * 60 * 1000 }) {
+    this.client = client;
+    this.prefix = prefix;
+    this.maxAgeMs = maxAgeMs;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, entry) {
+    await this.client.set(this.prefix + key, JSON.stringify(entry));
+    const expire = this.client.pExpire || this.client.pexpire;
+    if (expire) {
+      await expire.call(this.client, this.prefix + key, this.maxAgeMs);
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+/**
+ * Cache over a list of stores, fastest first.
+ * `ttls` maps a request kind to its freshness lifetime in ms;
+ * `staleTtl` is how long past expiry an entry may still be served while it is refreshed.
+ */
+class TieredCache {
+  constructor({ stores, ttls = {}, defaultTtl = 5 * 60 * 1000, staleTtl = 0 }) {
+    this.stores = stores;
+    this.ttls = ttls;
+    this.defaultTtl = defaultTtl;
+    this.staleTtl = staleTtl;
+    this.pending = new Map();
+  }
+
+  ttlFor(kind) {
+    return this.ttls[kind] ?? this.defaultTtl;
+  }
+
+  async lookup(key) {
+    for (let level = 0; level < this.stores.length; level++) {
+      let entry = null;
+      try {
+        entry = await this.stores[level].get(key);
+      } catch (error) {
+        log.error('Cache store read failed', { store: level, error });
+      }
+      if (entry) {
+        // Promote to the faster levels
+        await this.writeLevels(key, entry, level);
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  async writeLevels(key, entry, untilLevel = this.stores.length) {
+    await Promise.all(
+      this.stores.slice(0, untilLevel).map((store, level) =>
+        store.set(key, entry).catch((error) => {
+          log.error('Cache store write failed', { store: level, error });
+        })
+      )
+    );
+  }
+
+  /**
+   * Drop an entry from every level, so the next lookup fetches it again
+   */
+  async delete(key) {
+    await Promise.all(
+      this.stores.map((store, level) =>
+        store.delete(key).catch((error) => {
+          log.error('Cache store delete failed', { store: level, error });
+        })
+      )
+    );
+  }
+
+  /**
+   * Fetch, store and return an entry, sharing one upstream call per key.
+   * fetcher({ etag, lastModified }) resolves to { data, etag, lastModified }
+   * or to { notModified: true } when the conditional request got a 304.
+   */
+  refresh(kind, key, fetcher, previous) {
+    if (!this.pending.has(key)) {
+      const promise = Promise.resolve()
+        .then(() => fetcher({ etag: previous?.etag, lastModified: previous?.lastModified }))
+        .then(async (response) => {
+          const entry =
+            response.notModified && previous
+              ? { ...previous, storedAt: Date.now() }
+              : {
+                  kind,
+                  data: response.data,
+                  etag: response.etag || null,
+                  lastModified: response.lastModified || null,
+                  storedAt: Date.now(),
+                };
+          await this.writeLevels(key, entry);
+          return { entry, notModified: Boolean(response.notModified && previous) };
+        })
+        .finally(() => {
+          this.pending.delete(key);
+        });
+      this.pending.set(key, promise);
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * Return cached data for key, fetching it when missing or expired.
+   * Resolves to { data, status } with status hit, stale, revalidated or miss.
+   */
+  async getOrFetch(kind, key, fetcher) {
+    const entry = await this.lookup(key);
+    const ttl = this.ttlFor(kind);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    let status;
+    let data;
+    if (entry && age < ttl) {
+      status = 'hit';
+      data = entry.data;
+    } else if (entry && age < ttl + this.staleTtl) {
+      // Serve stale data and refresh it in the background
+      status = 'stale';
+      data = entry.data;
+      this.refresh(kind, key, fetcher, entry).catch((error) => {
+        log.warn('Background revalidation failed', { key, error });
+      });
+    } else {
+      const refreshed = await this.refresh(kind, key, fetcher, entry);
+      status = refreshed.notModified ? 'revalidated' : 'miss';
+      data = refreshed.entry.data;
+    }
+
+    recordCacheLookup(kind, status);
+    return { data, status };
+  }
+}
+
+module.exports = {
+  MemoryLRUStore,
+  FileStore,
+  RedisStore,
+  TieredCache,
+  runWithCacheTrace,
+};
@@ -0,0 +1,166 @@
+/**
+ * Background poller detecting catalog changes
+ *
+ * Only the portals returned by portals() are polled, i.e. the portals someone
+ * subscribed to. The first poll of a portal loads its dataset ids; each
+ * following poll asks the portal for the datasets changed since the previous
+ * poll and for its dataset count, and reloads the ids only when a dataset is
+ * unknown or the count changed.
+ * Emits 'listChanged' ({ portal, added, removed }) when datasets appear or
+ * disappear, and 'datasetUpdated' ({ portal, datasetId }) for each changed or removed dataset.
+ */
+
+const { EventEmitter } = require('events');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('watch');
+
+// Each poll looks this far before the previous one, for clock skew and late processing;
+// changes seen by the previous poll are recognized by their version and not reported twice
+const SINCE_OVERLAP_MS = 5 * 60 * 1000;
+
+function changeTimestamps(ds) {
+  const metas = ds.metas?.default || {};
+  return [metas.modified, metas.data_processed];
+}
+
+// Version string of a catalog entry
+function datasetVersion(ds) {
+  return changeTimestamps(ds)
+    .map((value) => value || '')
+    .join('|');
+}
+
+// Was the data or the metadata of a catalog entry modified at or after a time?
+function changedSince(ds, time) {
+  return changeTimestamps(ds).some((value) => Boolean(value) && Date.parse(value) >= time);
+}
+
+function versionsOf(catalog) {
+  return new Map((catalog.results || []).map((ds) => [ds.dataset_id, datasetVersion(ds)]));
+}
+
+class CatalogWatcher extends EventEmitter {
+  /**
+   * Injected functions, which bypass caches:
+   * - portals() returns the names of the portals to poll
+   * - loadDatasetIds(portalName) resolves to the { total_count, results } catalog with dataset_id only
+   * - loadChangedDatasets(portalName, since) resolves to the { total_count, results } catalog
+   *   entries changed since a Date
+   * - countDatasets(portalName) resolves to the number of datasets of the portal
+   */
+  constructor({ portals, loadDatasetIds, loadChangedDatasets, countDatasets, intervalMs }) {
+    super();
+    this.portals = portals;
+    this.loadDatasetIds = loadDatasetIds;
+    this.loadChangedDatasets = loadChangedDatasets;
+    this.countDatasets = countDatasets;
+    this.intervalMs = intervalMs;
+    // portal -> { ids, count, versions, since }
+    this.states = new Map();
+    this.timer = null;
+    this.polling = null;
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  start() {
+    if (this.timer || !(this.intervalMs > 0)) {
+      return;
+    }
+    log.info('Catalog polling started', { interval_ms: this.intervalMs });
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    // Don't keep the process alive just for polling
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.states.clear();
+      log.info('Catalog polling stopped');
+    }
+  }
+
+  /**
+   * Poll every watched portal once; overlapping calls share the poll in progress.
+   * A portal polled for the first time is only loaded: changes are reported from its next poll on.
+   */
+  poll() {
+    if (!this.polling) {
+      const portals = this.portals();
+      // A portal nobody watches anymore starts over if it is watched again
+      for (const portal of this.states.keys()) {
+        if (!portals.includes(portal)) this.states.delete(portal);
+      }
+      this.polling = Promise.all(portals.map((portal) => this.pollPortal(portal))).finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async pollPortal(portal) {
+    const since = Date.now() - SINCE_OVERLAP_MS;
+    const state = this.states.get(portal);
+    try {
+      if (!state) {
+        const [catalog, changed] = await Promise.all([
+          this.loadDatasetIds(portal),
+          this.loadChangedDatasets(portal, new Date(since)),
+        ]);
+        this.states.set(portal, {
+          ids: new Set((catalog.results || []).map((ds) => ds.dataset_id)),
+          count: catalog.total_count,
+          versions: versionsOf(changed),
+          since,
+        });
+        return;
+      }
+
+      const [changed, count] = await Promise.all([
+        this.loadChangedDatasets(portal, new Date(state.since)),
+        this.countDatasets(portal),
+      ]);
+      const entries = changed.results || [];
+      const updated = entries
+        .filter((ds) => state.ids.has(ds.dataset_id))
+        .filter((ds) =>
+          state.versions.has(ds.dataset_id)
+            ? state.versions.get(ds.dataset_id) !== datasetVersion(ds)
+            : changedSince(ds, state.since)
+        )
+        .map((ds) => ds.dataset_id);
+
+      let added = [];
+      let removed = [];
+      if (count !== state.count || entries.some((ds) => !state.ids.has(ds.dataset_id))) {
+        const catalog = await this.loadDatasetIds(portal);
+        const ids = new Set((catalog.results || []).map((ds) => ds.dataset_id));
+        added = [...ids].filter((id) => !state.ids.has(id));
+        removed = [...state.ids].filter((id) => !ids.has(id));
+        state.ids = ids;
+        state.count = catalog.total_count;
+      }
+      state.versions = versionsOf(changed);
+      state.since = since;
+
+      if (added.length > 0 || removed.length > 0) {
+        log.info('Catalog changed', { portal, added: added.length, removed: removed.length });
+        this.emit('listChanged', { portal, added, removed });
+      }
+      for (const datasetId of [...updated, ...removed]) {
+        this.emit('datasetUpdated', { portal, datasetId });
+      }
+    } catch (error) {
+      log.error('Catalog polling failed', { portal, error });
+    }
+  }
+}
+
+module.exports = {
+  CatalogWatcher,
+};
@@ -0,0 +1,17 @@
+/**
+ * Numeric settings read from the environment
+ */
+
+/**
+ * Integer value of an environment variable.
+ * Falls back when the variable is unset, not a number or below min, so an
+ * explicit 0 (e.g. UPSTREAM_MAX_RETRIES=0) is kept.
+ */
+function intFromEnv(name, fallback, { min = 0 } = {}) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < min ? fallback : value;
+}
+
+module.exports = {
+  intFromEnv,
+};
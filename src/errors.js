@@ -0,0 +1,192 @@
+/**
+ * Error semantics
+ *
+ * Protocol problems (unknown method, invalid params) are raised as ProtocolError
+ * and answered with a JSON-RPC error. Failures while running a tool are turned
+ * into an `isError: true` tool result, classified by toolErrorResult() from the
+ * upstream HTTP status into the categories of ERROR_CATEGORIES. Arguments that
+ * pass the schema but cannot be used are raised as ToolArgumentError.
+ */
+
+// JSON-RPC 2.0 error codes, plus the MCP resource-not-found code
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002,
+};
+
+/**
+ * A JSON-RPC level error; code is one of RPC_ERRORS
+ */
+class ProtocolError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Tool arguments that pass the inputSchema but cannot be used, e.g. an unknown
+ * field in filters or an unknown commune (the invalid_arguments category)
+ */
+class ToolArgumentError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ToolArgumentError';
+  }
+}
+
+/**
+ * HTTP status of a JSON-RPC error response on the stateless HTTP path
+ */
+function httpStatusForRpcError(code) {
+  switch (code) {
+    case RPC_ERRORS.PARSE_ERROR:
+    case RPC_ERRORS.INVALID_REQUEST:
+    case RPC_ERRORS.INVALID_PARAMS:
+      return 400;
+    case RPC_ERRORS.METHOD_NOT_FOUND:
+    case RPC_ERRORS.RESOURCE_NOT_FOUND:
+      return 404;
+    default:
+      return 500;
+  }
+}
+
+/**
+ * JSON-RPC error object for an error thrown by a handler. ProtocolErrors (and
+ * SDK errors with a numeric code) keep their code; anything else is an internal error.
+ */
+function toRpcError(error) {
+  if (Number.isInteger(error?.code)) {
+    return { code: error.code, message: error.message, ...(error.data !== undefined ? { data: error.data } : {}) };
+  }
+  return {
+    code: RPC_ERRORS.INTERNAL_ERROR,
+    message: 'Internal error',
+    data: error instanceof Error ? error.message : String(error),
+  };
+}
+
+// Categories of tool failures, with the advice given to the caller
+const ERROR_CATEGORIES = {
+  invalid_arguments: { title: 'Invalid arguments' },
+  invalid_query: {
+    title: 'Query rejected by the portal',
+    hint: 'Check the where, select, group_by and order_by expressions; describe_dataset_schema lists the fields.',
+  },
+  not_found: {
+    title: 'Not found',
+    hint: 'Check the dataset_id with search_datasets or list_datasets, and the portal.',
+  },
+  access_denied: {
+    title: 'Access denied by the portal',
+    hint: 'The dataset may be private: configure an API key for this portal.',
+  },
+  rate_limited: { title: 'Rate limited by the portal', hint: 'Retry later.' },
+  upstream_error: { title: 'Portal error', hint: 'The portal failed to answer; retry later.' },
+  unavailable: { title: 'Portal unavailable', hint: 'Retry later.' },
+  internal: { title: 'Internal error' },
+};
+
+// Network failures: the portal could not be reached at all
+const NETWORK_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+// Message of an Opendatasoft error body ({ error_code, message }), which may be a raw buffer
+function portalErrorMessage(data) {
+  let body = data;
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    body = Buffer.from(body).toString('utf-8');
+  }
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      return body.trim().slice(0, 500) || null;
+    }
+  }
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  return body.message || body.error || body.error_code || null;
+}
+
+function categoryForStatus(status) {
+  if (status === 404) return 'not_found';
+  if (status === 401 || status === 403) return 'access_denied';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'upstream_error';
+  return 'invalid_query';
+}
+
+/**
+ * Classify an error thrown while running a tool.
+ * Follows error.cause, so wrapped upstream errors keep their category.
+ * Anything unrecognized (bugs, configuration problems) is internal.
+ * Returns { category, message, status, retryAfterMs }.
+ */
+function classifyError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.response) {
+      const { status } = current.response;
+      const portalMessage = portalErrorMessage(current.response.data);
+      return {
+        category: categoryForStatus(status),
+        status,
+        message: `The portal answered HTTP ${status}${portalMessage ? `: ${portalMessage}` : ''}`,
+      };
+    }
+    if (current.name === 'PortalUnavailableError') {
+      return { category: 'unavailable', message: current.message, retryAfterMs: current.retryAfterMs };
+    }
+    if (NETWORK_ERROR_CODES.includes(current.code)) {
+      return { category: 'unavailable', message: error.message };
+    }
+    if (current instanceof ToolArgumentError) {
+      return { category: 'invalid_arguments', message: error.message };
+    }
+  }
+  return { category: 'internal', message: error.message };
+}
+
+/**
+ * isError tool result explaining a tool failure.
+ * The category and HTTP status are also given in _meta.error for programmatic use.
+ */
+function toolErrorResult(error) {
+  const { category, message, status, retryAfterMs } = classifyError(error);
+  const { title, hint } = ERROR_CATEGORIES[category];
+  const retryAfter = retryAfterMs !== undefined ? Math.ceil(retryAfterMs / 1000) : undefined;
+  return {
+    isError: true,
+    content: [
+      {
+        type: 'text',
+        text: `${title}: ${message}${hint ? `\n${hint}` : ''}`,
+      },
+    ],
+    _meta: {
+      error: {
+        category,
+        ...(status !== undefined ? { status } : {}),
+        ...(retryAfter !== undefined ? { retry_after_s: retryAfter } : {}),
+      },
+    },
+  };
+}
+
+module.exports = {
+  RPC_ERRORS,
+  ProtocolError,
+  ToolArgumentError,
+  httpStatusForRpcError,
+  toRpcError,
+  ERROR_CATEGORIES,
+  classifyError,
+  toolErrorResult,
+};
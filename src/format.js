@@ -0,0 +1,199 @@
+/**
+ * Output formatting of tool results
+ *
+ * Lists of records are rendered in one of three formats: a markdown table,
+ * compact JSON (one record per line) or a summary (one short line per record).
+ * The output is kept within a character budget by leaving whole records out
+ * at the end; a footer then says how many were left out and which offset to
+ * request next.
+ */
+
+const { intFromEnv } = require('./env.js');
+const { ToolArgumentError } = require('./errors.js');
+
+const OUTPUT_FORMATS = ['markdown', 'json', 'summary'];
+const DEFAULT_FORMAT = 'markdown';
+const DEFAULT_MAX_CHARS = intFromEnv('OUTPUT_MAX_CHARS', 20000, { min: 1 });
+
+// Rough size of a token, to turn max_tokens into a character budget
+const CHARS_PER_TOKEN = 4;
+
+// Room kept for the footer when cutting records
+const FOOTER_RESERVE = 240;
+
+const MAX_CELL_LENGTH = 120;
+const SUMMARY_FIELDS = 4;
+
+function truncateText(text, maxLength) {
+  const value = String(text);
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+// One-line text of a value for a table cell or a summary
+function cellText(value, maxLength = MAX_CELL_LENGTH) {
+  if (value === null || value === undefined) return '';
+  const isList = Array.isArray(value) && value.every((item) => typeof item !== 'object');
+  const text = isList ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return truncateText(text.replace(/\s+/g, ' ').trim(), maxLength);
+}
+
+// Columns of a list of rows, in order of first appearance
+function tableColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    Object.keys(row).forEach((column) => columns.add(column));
+  }
+  return [...columns];
+}
+
+function tableRow(cells) {
+  return `| ${cells.map((cell) => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+}
+
+function tableHeader(columns) {
+  return [tableRow(columns), tableRow(columns.map(() => '---'))].join('\n');
+}
+
+/**
+ * Render rows as a markdown table
+ */
+function formatRowsAsTable(rows, emptyText = '(no rows)') {
+  if (rows.length === 0) {
+    return emptyText;
+  }
+  const columns = tableColumns(rows);
+  return [tableHeader(columns), ...rows.map((row) => tableRow(columns.map((column) => cellText(row[column]))))].join(
+    '\n'
+  );
+}
+
+/**
+ * Default summary line of a record: its first scalar fields
+ */
+function summarizeRecord(record) {
+  return Object.entries(record)
+    .filter(([, value]) => value !== null && value !== '' && typeof value !== 'object')
+    .slice(0, SUMMARY_FIELDS)
+    .map(([name, value]) => `${name}: ${cellText(value, MAX_CELL_LENGTH / 2)}`)
+    .join('; ');
+}
+
+/**
+ * Output options of a tool call: { format, maxChars }.
+ * max_chars wins over max_tokens; without either the default budget applies.
+ */
+function outputOptions({ output_format: format = DEFAULT_FORMAT, max_chars, max_tokens } = {}) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ToolArgumentError(`output_format must be one of ${OUTPUT_FORMATS.join(', ')}, got "${format}"`);
+  }
+  let maxChars = DEFAULT_MAX_CHARS;
+  if (max_chars !== undefined) {
+    maxChars = Number(max_chars);
+  } else if (max_tokens !== undefined) {
+    maxChars = Number(max_tokens) * CHARS_PER_TOKEN;
+  }
+  if (!(maxChars > 0)) {
+    throw new ToolArgumentError('max_chars and max_tokens must be positive numbers');
+  }
+  return { format, maxChars };
+}
+
+/**
+ * Render records within the output budget.
+ * Returns { text, shown, nextOffset }: the number of records that fit, and the
+ * offset to request next (null when every record was shown or the tool does not paginate).
+ *
+ * options:
+ * - header(shown): first line, given the number of records that fit
+ * - format, maxChars: from outputOptions()
+ * - offset: offset of the first record, for tools that paginate (enables the next offset hint)
+ * - total: number of matching records upstream, when more exist than were fetched
+ * - summarize(record): line of a record in the summary format
+ */
+function formatRecords(
+  records,
+  { header, format, maxChars, offset, total, summarize = summarizeRecord, emptyText = '(no records)' }
+) {
+  if (records.length === 0) {
+    return { text: `${header(0)}\n\n${emptyText}`, shown: 0, nextOffset: null };
+  }
+
+  let preamble = '';
+  let lines;
+  let closing = '';
+  let separator = '\n';
+  if (format === 'json') {
+    preamble = '[\n';
+    lines = records.map((record) => JSON.stringify(record));
+    closing = '\n]';
+    separator = ',\n';
+  } else if (format === 'summary') {
+    lines = records.map((record) => `- ${summarize(record)}`);
+  } else {
+    const columns = tableColumns(records);
+    preamble = `${tableHeader(columns)}\n`;
+    lines = records.map((record) => tableRow(columns.map((column) => cellText(record[column]))));
+  }
+
+  // Keep whole records while they fit; always keep the first one so paging moves forward
+  const available = maxChars - header(records.length).length - preamble.length - closing.length - FOOTER_RESERVE;
+  let used = 0;
+  let shown = 0;
+  for (const line of lines) {
+    const size = line.length + separator.length;
+    if (shown > 0 && used + size > available) break;
+    used += size;
+    shown++;
+  }
+
+  const notes = [];
+  const left = records.length - shown;
+  let nextOffset = null;
+  if (left > 0) {
+    nextOffset = offset !== undefined ? offset + shown : null;
+    notes.push(`Output limited to ${maxChars} characters: ${left} of ${records.length} records left out.`);
+    const shorter = format === 'summary' ? '' : ', or use output_format "summary" for shorter output';
+    notes.push(
+      nextOffset !== null
+        ? `Request offset ${nextOffset} to continue${shorter}.`
+        : `Lower limit or raise max_chars to see them${shorter}.`
+    );
+  } else if (offset !== undefined && total !== undefined && offset + shown < total) {
+    nextOffset = offset + shown;
+    notes.push(`${total - nextOffset} more records: request offset ${nextOffset} to continue.`);
+  }
+
+  const body = `${preamble}${lines.slice(0, shown).join(separator)}${closing}`;
+  return {
+    text: `${header(shown)}\n\n${body}${notes.length > 0 ? `\n\n[${notes.join(' ')}]` : ''}`,
+    shown,
+    nextOffset,
+  };
+}
+
+/**
+ * Cut free text (e.g. a JSON document) to the output budget at a line boundary.
+ * format is the output_format of tools that take one, to suggest the summary format.
+ */
+function limitText(text, maxChars, format) {
+  if (text.length <= maxChars) {
+    return text;
+  }
+  const cut = text.lastIndexOf('\n', maxChars - FOOTER_RESERVE);
+  const kept = text.slice(0, cut > 0 ? cut : maxChars - FOOTER_RESERVE);
+  const shorter = format && format !== 'summary' ? ' or use output_format "summary"' : '';
+  return `${kept}\n\n[Output limited to ${maxChars} characters: ${text.length - kept.length} characters left out. Raise max_chars${shorter}.]`;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  DEFAULT_MAX_CHARS,
+  truncateText,
+  cellText,
+  formatRowsAsTable,
+  summarizeRecord,
+  outputOptions,
+  formatRecords,
+  limitText,
+};
@@ -0,0 +1,208 @@
+/**
+ * Geospatial helpers: geo field detection, ODSQL spatial clauses and distances
+ */
+
+const { quoteIdentifier } = require('./odsql.js');
+const { ToolArgumentError } = require('./errors.js');
+
+const EARTH_RADIUS_M = 6371008.8;
+
+// Field names commonly used for the commune name in communes datasets
+const COMMUNE_NAME_FIELDS = ['nom_commune', 'nom_com', 'libelle_commune', 'lib_commune', 'commune', 'nom', 'libelle', 'name'];
+
+// Field names commonly used for the INSEE code of a commune
+const INSEE_FIELDS = ['code_insee', 'insee', 'insee_com', 'code_insee_commune', 'insee_commune', 'codgeo', 'com_insee'];
+
+// Generic commune code field names: the INSEE code in some datasets, but a postal
+// code or the 3-digit code of the commune within its département in others
+const COMMUNE_CODE_FIELDS = ['code_commune', 'code_com'];
+
+// Names of fields holding a commune name in any dataset (stricter than COMMUNE_NAME_FIELDS)
+const COMMUNE_FIELD_PATTERN = /^(nom_|lib_|libelle_)?commune$|^nom_com$/i;
+
+// INSEE commune code: 5 digits, or 2A/2B and 3 digits in Corsica
+const INSEE_CODE_PATTERN = /^(\d{5}|2[ab]\d{3})$/i;
+
+/**
+ * Pick the geo field of a dataset, preferring geo_point_2d over geo_shape
+ */
+function findGeoField(fields) {
+  return (
+    fields.find((field) => field.type === 'geo_point_2d') ||
+    fields.find((field) => field.type === 'geo_shape') ||
+    null
+  );
+}
+
+/**
+ * Pick the field holding the commune name in a communes dataset
+ */
+function findCommuneNameField(fields) {
+  const textFields = fields.filter((field) => field.type === 'text');
+  for (const name of COMMUNE_NAME_FIELDS) {
+    const field = textFields.find((f) => f.name === name);
+    if (field) return field;
+  }
+  return textFields.find((field) => /commune/i.test(field.label || '')) || null;
+}
+
+/**
+ * Pick the field named after the INSEE commune code, if any
+ * (see findCommuneCodeField for the generic code fields)
+ */
+function findInseeField(fields) {
+  const candidates = fields.filter((field) => field.type === 'text' || field.type === 'int');
+  for (const name of INSEE_FIELDS) {
+    const field = candidates.find((f) => f.name === name);
+    if (field) return field;
+  }
+  return candidates.find((field) => /insee/i.test(`${field.name} ${field.label || ''}`)) || null;
+}
+
+/**
+ * Pick a generic commune code field, whose values must be checked with
+ * isInseeFieldValue before it is used as an INSEE code
+ */
+function findCommuneCodeField(fields) {
+  return fields.find((field) => (field.type === 'text' || field.type === 'int') && COMMUNE_CODE_FIELDS.includes(field.name)) || null;
+}
+
+/**
+ * Pick the field of any dataset that holds a commune name, if any
+ */
+function findCommuneField(fields) {
+  return (
+    fields.find(
+      (field) =>
+        field.type === 'text' && (COMMUNE_FIELD_PATTERN.test(field.name) || /^(nom de la )?commune$/i.test(field.label || ''))
+    ) || null
+  );
+}
+
+function isInseeCode(value) {
+  return INSEE_CODE_PATTERN.test(String(value).trim());
+}
+
+/**
+ * Whether a value of a field has the INSEE code format; int fields drop the
+ * leading zero of départements 01 to 09, so their codes have 4 or 5 digits
+ */
+function isInseeFieldValue(field, value) {
+  if (field.type === 'int') {
+    return Number.isInteger(value) && value >= 1001 && value <= 99999;
+  }
+  return typeof value === 'string' && isInseeCode(value);
+}
+
+function assertLatitude(lat, name = 'latitude') {
+  if (typeof lat !== 'number' || Number.isNaN(lat) || lat < -90 || lat > 90) {
+    throw new ToolArgumentError(`${name} must be a number between -90 and 90`);
+  }
+}
+
+function assertLongitude(lon, name = 'longitude') {
+  if (typeof lon !== 'number' || Number.isNaN(lon) || lon < -180 || lon > 180) {
+    throw new ToolArgumentError(`${name} must be a number between -180 and 180`);
+  }
+}
+
+/**
+ * within_distance() clause for a point and a radius in meters
+ */
+function buildNearbyClause(fieldName, { lat, lon }, radiusMeters) {
+  assertLatitude(lat);
+  assertLongitude(lon);
+  if (typeof radiusMeters !== 'number' || !(radiusMeters > 0)) {
+    throw new ToolArgumentError('radius_m must be a positive number');
+  }
+  return `within_distance(${quoteIdentifier(fieldName)}, geom'POINT(${lon} ${lat})', ${Math.round(radiusMeters)}m)`;
+}
+
+/**
+ * in_bbox() clause for a GeoJSON-ordered bbox [west, south, east, north]
+ */
+function buildBboxClause(fieldName, bbox) {
+  if (!Array.isArray(bbox) || bbox.length !== 4) {
+    throw new ToolArgumentError('bbox must be an array [west, south, east, north]');
+  }
+  const [west, south, east, north] = bbox;
+  assertLongitude(west, 'bbox west');
+  assertLatitude(south, 'bbox south');
+  assertLongitude(east, 'bbox east');
+  assertLatitude(north, 'bbox north');
+  if (south > north || west > east) {
+    throw new ToolArgumentError('bbox must be ordered [west, south, east, north]');
+  }
+  return `in_bbox(${quoteIdentifier(fieldName)}, ${south}, ${west}, ${north}, ${east})`;
+}
+
+/**
+ * intersects() clause for a GeoJSON Polygon or MultiPolygon geometry
+ */
+function buildPolygonClause(fieldName, polygon) {
+  if (!polygon || !['Polygon', 'MultiPolygon'].includes(polygon.type) || !Array.isArray(polygon.coordinates)) {
+    throw new ToolArgumentError('polygon must be a GeoJSON Polygon or MultiPolygon geometry');
+  }
+  const geometry = JSON.stringify({ type: polygon.type, coordinates: polygon.coordinates }).replace(/'/g, '');
+  return `intersects(${quoteIdentifier(fieldName)}, geom'${geometry}')`;
+}
+
+/**
+ * Representative point { lat, lon } of a record's geo value
+ * (geo_point_2d object, or the bbox center of a GeoJSON geometry)
+ */
+function representativePoint(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  if (typeof value.lat === 'number' && typeof value.lon === 'number') {
+    return { lat: value.lat, lon: value.lon };
+  }
+
+  const geometry = value.geometry || value;
+  if (!geometry.coordinates) {
+    return null;
+  }
+  let west = Infinity;
+  let south = Infinity;
+  let east = -Infinity;
+  let north = -Infinity;
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      west = Math.min(west, coords[0]);
+      east = Math.max(east, coords[0]);
+      south = Math.min(south, coords[1]);
+      north = Math.max(north, coords[1]);
+    } else {
+      coords.forEach(visit);
+    }
+  };
+  visit(geometry.coordinates);
+  return Number.isFinite(west) ? { lat: (south + north) / 2, lon: (west + east) / 2 } : null;
+}
+
+/**
+ * Great-circle distance in meters between two { lat, lon } points
+ */
+function haversineDistance(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  findGeoField,
+  findCommuneNameField,
+  findInseeField,
+  findCommuneCodeField,
+  findCommuneField,
+  isInseeCode,
+  isInseeFieldValue,
+  buildNearbyClause,
+  buildBboxClause,
+  buildPolygonClause,
+  representativePoint,
+  haversineDistance,
+};
@@ -2,21 +2,34 @@
  * HTTP server for MCP over HTTP (Vercel deployment)
  */
 
+const { randomUUID } = require('crypto');
+const { isAuthEnabled, authenticateRequest, toAuthInfo } = require('./auth.js');
+const { RPC_ERRORS, toRpcError, httpStatusForRpcError } = require('./errors.js');
+const { createLogger } = require('./logger.js');
+const { runWithRequestContext } = require('./requestContext.js');
+const { intFromEnv } = require('./env.js');
+
+const log = createLogger('http');
+
 // Dynamic imports for ES modules
-let Server, SSEServerTransport;
+let Server, SSEServerTransport, StreamableHTTPServerTransport, isInitializeRequest;
 let mcpServerModule = null;
 
 async function loadMCPModules() {
   if (!Server) {
     const sdkServer = await import('@modelcontextprotocol/sdk/server/index.js');
     const sdkSSE = await import('@modelcontextprotocol/sdk/server/sse.js');
+    const sdkStreamableHttp = await import('@modelcontextprotocol/sdk/server/streamableHttp.js');
+    const sdkTypes = await import('@modelcontextprotocol/sdk/types.js');
     Server = sdkServer.Server;
     SSEServerTransport = sdkSSE.SSEServerTransport;
+    StreamableHTTPServerTransport = sdkStreamableHttp.StreamableHTTPServerTransport;
+    isInitializeRequest = sdkTypes.isInitializeRequest;
   }
   if (!mcpServerModule) {
     mcpServerModule = require('./mcpServer.js');
   }
-  return { Server, SSEServerTransport, mcpServerModule };
+  return { Server, SSEServerTransport, StreamableHTTPServerTransport, isInitializeRequest, mcpServerModule };
 }
 
 let serverInstance = null;
@@ -24,6 +37,28 @@ let serverInstance = null;
 // Track active SSE transports by session ID
 const activeTransports = new Map();
 
+// Track active Streamable HTTP transports by Mcp-Session-Id
+const streamableTransports = new Map();
+
+// Sessions of clients that went away without a DELETE are closed after this long
+// without a request (0 keeps them), and at most this many are open at once (0 for no cap)
+const SESSION_IDLE_TIMEOUT_MS = intFromEnv('MCP_SESSION_IDLE_TIMEOUT', 1800) * 1000;
+const MAX_SESSIONS = intFromEnv('MCP_MAX_SESSIONS', 1000);
+const SESSION_SWEEP_INTERVAL_MS = Math.min(SESSION_IDLE_TIMEOUT_MS, 60 * 1000);
+
+let sessionSweeper = null;
+
+// Answer POSTs on /mcp with plain JSON instead of an SSE stream
+const MCP_JSON_RESPONSE = process.env.MCP_JSON_RESPONSE === 'true';
+
+const CORS_ALLOW_METHODS = 'GET, POST, DELETE, OPTIONS';
+const CORS_ALLOW_HEADERS =
+  'Content-Type, Accept, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID, X-Request-Id';
+const CORS_EXPOSE_HEADERS = 'Mcp-Session-Id, X-Request-Id';
+
+// Incoming X-Request-Id values are reused when they look like an identifier
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
 /**
  * Initialize server instance (singleton)
  */
@@ -36,21 +71,291 @@ async function getServer() {
 }
 
 /**
- * HTTP handler for Vercel and standalone server
+ * Read the full request body as a UTF-8 string
+ */
+async function readRequestBody(req) {
+  const bodyChunks = [];
+  for await (const chunk of req) {
+    bodyChunks.push(chunk);
+  }
+  return Buffer.concat(bodyChunks).toString('utf-8');
+}
+
+/**
+ * Send a JSON-RPC error without a request id (transport-level failures)
+ */
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) {
+    return;
+  }
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.writeHead(status);
+  res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code, message } }));
+}
+
+/**
+ * Run one entry of a JSON-RPC batch through handleRequestDirectly.
+ * Returns the response object, or null for notifications.
+ */
+async function processBatchEntry(server, entry, authInfo, protocolVersion) {
+  if (!entry || typeof entry !== 'object' || entry.jsonrpc !== '2.0' || !entry.method) {
+    return {
+      jsonrpc: '2.0',
+      id: entry?.id ?? null,
+      error: { code: -32600, message: 'Invalid Request' },
+    };
+  }
+
+  const isNotification = entry.id === undefined || entry.id === null;
+
+  try {
+    const result = await mcpServerModule.handleRequestDirectly(
+      server,
+      entry.method,
+      entry.params,
+      authInfo,
+      protocolVersion
+    );
+    if (isNotification || result === null) {
+      return null;
+    }
+    return { jsonrpc: '2.0', id: entry.id, result };
+  } catch (error) {
+    if (isNotification) {
+      log.debug('Ignoring error for notification', { rpc_method: entry.method, error });
+      return null;
+    }
+    log.warn('Error in batch entry', { rpc_method: entry.method, rpc_id: entry.id, error });
+    return {
+      jsonrpc: '2.0',
+      id: entry.id,
+      error: toRpcError(error),
+    };
+  }
+}
+
+/**
+ * Handle a JSON-RPC batch on the stateless POST path
+ */
+async function handleBatchRequest(server, batch, res, authInfo, protocolVersion) {
+  log.debug('JSON-RPC batch', { entries: batch.length });
+
+  // An empty batch is itself an invalid request
+  if (batch.length === 0) {
+    sendJsonRpcError(res, 400, -32600, 'Invalid Request');
+    return;
+  }
+
+  const responses = (
+    await Promise.all(batch.map((entry) => processBatchEntry(server, entry, authInfo, protocolVersion)))
+  ).filter((response) => response !== null);
+
+  // A batch of notifications only gets no response at all
+  if (responses.length === 0) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.writeHead(200);
+  res.end(JSON.stringify(responses));
+}
+
+/**
+ * Record a request on a session. While a request is open (e.g. a GET
+ * notification stream) the session is not idle.
+ */
+function trackSessionActivity(transport, res) {
+  transport.lastActivity = Date.now();
+  transport.openRequests = (transport.openRequests || 0) + 1;
+  res.on('close', () => {
+    transport.openRequests--;
+    transport.lastActivity = Date.now();
+  });
+}
+
+// Close a session's transport, which also closes its MCP server and forgets the session
+async function closeSession(transport, reason) {
+  log.info('Closing session', { session_id: transport.sessionId, reason });
+  try {
+    await transport.close();
+  } catch (error) {
+    log.error('Failed to close session', { session_id: transport.sessionId, error });
+  }
+}
+
+function isIdle(transport, now = Date.now()) {
+  return !transport.openRequests && now - transport.lastActivity >= SESSION_IDLE_TIMEOUT_MS;
+}
+
+function sweepIdleSessions() {
+  const now = Date.now();
+  for (const transport of streamableTransports.values()) {
+    if (isIdle(transport, now)) {
+      closeSession(transport, 'idle');
+    }
+  }
+}
+
+// The sweeper never keeps the process alive on its own
+function startSessionSweeper() {
+  if (!sessionSweeper && SESSION_IDLE_TIMEOUT_MS > 0) {
+    sessionSweeper = setInterval(sweepIdleSessions, SESSION_SWEEP_INTERVAL_MS);
+    sessionSweeper.unref();
+  }
+}
+
+/**
+ * Make room for a new session under MAX_SESSIONS by closing the least recently
+ * active session without an open request. Resolves to false when every session is busy.
+ */
+async function makeRoomForSession() {
+  if (MAX_SESSIONS === 0 || streamableTransports.size < MAX_SESSIONS) {
+    return true;
+  }
+  let oldest = null;
+  for (const transport of streamableTransports.values()) {
+    if (!transport.openRequests && (!oldest || transport.lastActivity < oldest.lastActivity)) {
+      oldest = transport;
+    }
+  }
+  if (!oldest) {
+    return false;
+  }
+  await closeSession(oldest, 'max_sessions');
+  return true;
+}
+
+/**
+ * Handle the Streamable HTTP transport on /mcp.
+ * POST carries JSON-RPC messages, GET opens a server-initiated SSE stream,
+ * DELETE ends the session. Each session gets its own MCP server instance,
+ * bound to the client that initialized it.
+ */
+async function handleStreamableHttp(req, res, client) {
+  const { StreamableHTTPServerTransport, isInitializeRequest, mcpServerModule } = await loadMCPModules();
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSE_HEADERS);
+
+  const sessionId = req.headers['mcp-session-id'];
+  log.debug('Streamable HTTP request', { session_id: sessionId || null });
+
+  if (sessionId) {
+    const transport = streamableTransports.get(sessionId);
+    if (!transport) {
+      log.warn('Unknown session', { session_id: sessionId });
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    if (transport.clientId !== (client?.id || null)) {
+      log.warn('Session belongs to another client', { session_id: sessionId });
+      sendJsonRpcError(res, 403, -32000, 'Forbidden: session belongs to another client');
+      return;
+    }
+
+    let parsedBody;
+    if (req.method === 'POST') {
+      try {
+        parsedBody = JSON.parse(await readRequestBody(req));
+      } catch (e) {
+        sendJsonRpcError(res, 400, -32700, 'Parse error');
+        return;
+      }
+    }
+    trackSessionActivity(transport, res);
+    await transport.handleRequest(req, res, parsedBody);
+    return;
+  }
+
+  // Without a session, only an initialize POST is accepted
+  if (req.method !== 'POST') {
+    sendJsonRpcError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+    return;
+  }
+
+  let parsedBody;
+  try {
+    parsedBody = JSON.parse(await readRequestBody(req));
+  } catch (e) {
+    sendJsonRpcError(res, 400, -32700, 'Parse error');
+    return;
+  }
+
+  if (!isInitializeRequest(parsedBody)) {
+    sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+    return;
+  }
+
+  if (!(await makeRoomForSession())) {
+    log.warn('Session limit reached', { max_sessions: MAX_SESSIONS });
+    sendJsonRpcError(res, 503, -32000, 'Service Unavailable: too many open sessions');
+    return;
+  }
+
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    enableJsonResponse: MCP_JSON_RESPONSE,
+    onsessioninitialized: (newSessionId) => {
+      streamableTransports.set(newSessionId, transport);
+      startSessionSweeper();
+      log.info('Session initialized', { session_id: newSessionId, active_sessions: streamableTransports.size });
+    },
+  });
+
+  transport.clientId = client?.id || null;
+
+  transport.onclose = () => {
+    if (transport.sessionId) {
+      streamableTransports.delete(transport.sessionId);
+      log.info('Session closed', { session_id: transport.sessionId, active_sessions: streamableTransports.size });
+    }
+  };
+
+  const server = await mcpServerModule.createMCPServer();
+  await server.connect(transport);
+  trackSessionActivity(transport, res);
+  await transport.handleRequest(req, res, parsedBody);
+}
+
+/**
+ * HTTP handler for Vercel and standalone server.
+ * Each request gets a correlation ID (the client's X-Request-Id, or a new one),
+ * echoed in the response and attached to every log line written while handling it.
  */
 async function handler(req, res) {
-  // Log all incoming requests
-  console.log(`[HTTP] ${req.method} ${req.url} - Headers: ${JSON.stringify(req.headers)}`);
+  const incomingId = req.headers['x-request-id'];
+  const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+
+  return runWithRequestContext({ requestId }, async () => {
+    const startedAt = Date.now();
+    log.debug('Request received', { method: req.method, url: req.url, headers: req.headers });
+    res.on('finish', () => {
+      log.info('Request completed', {
+        method: req.method,
+        url: req.url,
+        status: res.statusCode,
+        duration_ms: Date.now() - startedAt,
+      });
+    });
+    await handleHttpRequest(req, res);
+  });
+}
 
+async function handleHttpRequest(req, res) {
   // Handle OPTIONS preflight
   if (req.method === 'OPTIONS') {
-    console.log('[HTTP] Handling OPTIONS preflight request');
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', CORS_ALLOW_METHODS);
+    res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+    res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSE_HEADERS);
     res.writeHead(200);
     res.end();
-    console.log('[HTTP] OPTIONS request completed');
     return;
   }
 
@@ -58,61 +363,76 @@ async function handler(req, res) {
     // Load MCP modules
     const { SSEServerTransport, mcpServerModule } = await loadMCPModules();
     
-    console.log('[HTTP] Getting MCP server instance...');
     const server = await getServer();
-    console.log('[HTTP] MCP server instance ready');
+
+    const pathname = (req.url || '/').split('?')[0];
+
+    // Authenticate the MCP endpoints when client keys are configured
+    let client = null;
+    if (pathname === '/mcp' || pathname === '/message') {
+      const auth = authenticateRequest(req);
+      if (auth.error) {
+        log.warn('Authentication rejected', { method: req.method, path: pathname, reason: auth.error });
+        res.setHeader('WWW-Authenticate', 'Bearer realm="mcp"');
+        sendJsonRpcError(res, 401, -32000, `Unauthorized: ${auth.error}`);
+        return;
+      }
+      client = auth.client;
+      if (client) {
+        // The SDK transports pass req.auth to request handlers as extra.authInfo
+        req.auth = toAuthInfo(client);
+        log.debug('Authenticated client', { client_id: client.id });
+      }
+    }
+
+    // Handle Streamable HTTP transport (POST, GET and DELETE on /mcp)
+    if (pathname === '/mcp') {
+      await handleStreamableHttp(req, res, client);
+      return;
+    }
 
     // Handle SSE connection (GET request)
     if (req.method === 'GET' && req.url === '/message') {
-      console.log('[HTTP] Handling GET request for SSE connection');
       // Set CORS headers BEFORE creating transport
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
 
-      console.log('[HTTP] Creating SSEServerTransport...');
       const transport = new SSEServerTransport('/message', res);
+      transport.clientId = client?.id || null;
+      // A server instance can only be connected to one transport at a time
+      const sessionServer = await mcpServerModule.createMCPServer();
       
       // Store transport by session ID for POST requests (get it before connecting)
       const sessionId = transport.sessionId;
       activeTransports.set(sessionId, transport);
-      console.log(
-        `[HTTP] Stored transport with sessionId: ${sessionId}, total active sessions: ${activeTransports.size}`
-      );
+      log.debug('Stored SSE transport', { session_id: sessionId, active_sessions: activeTransports.size });
 
       // Clean up when transport closes
       transport.onclose = () => {
         activeTransports.delete(sessionId);
-        console.log(
-          `[HTTP] Removed transport session: ${sessionId}, remaining sessions: ${activeTransports.size}`
-        );
+        log.info('SSE session closed', { session_id: sessionId, active_sessions: activeTransports.size });
       };
 
       transport.onerror = (error) => {
-        console.error(`[HTTP] Transport error for session ${sessionId}:`, error);
+        log.error('SSE transport error', { session_id: sessionId, error });
         activeTransports.delete(sessionId);
       };
 
-      console.log('[HTTP] Connecting server to transport...');
       // Note: server.connect() automatically calls transport.start()
       // Don't await - let it run in background, function will return and connection stays open
-      server.connect(transport).catch((error) => {
-        console.error(`[HTTP] Error connecting server to transport:`, error);
+      sessionServer.connect(transport).catch((error) => {
+        log.error('Error connecting server to transport', { session_id: sessionId, error });
         activeTransports.delete(sessionId);
       });
 
-      console.log(`[HTTP] MCP Server connected via HTTP/SSE (GET), session: ${sessionId}`);
+      log.info('SSE session opened', { session_id: sessionId });
       // Function returns here, but connection stays open via transport
       return;
     }
 
     // Handle POST messages
     if (req.method === 'POST' && req.url?.startsWith('/message')) {
-      console.log('[HTTP] Handling POST request for message');
-      console.log(`[HTTP] Full URL: ${req.url}`);
-      console.log(`[HTTP] Content-Type: ${req.headers['content-type']}`);
-      console.log(`[HTTP] Content-Length: ${req.headers['content-length']}`);
-
       // Extract session ID from query string OR try to get from first available transport
       const url = new URL(req.url || '/message', `http://${req.headers.host || 'localhost'}`);
       let sessionId = url.searchParams.get('sessionId');
@@ -120,35 +440,22 @@ async function handler(req, res) {
       // If no sessionId in query, try to use the first (or only) active transport
       // This handles cases where the MCP bridge doesn't send sessionId in query string
       if (!sessionId && activeTransports.size === 1) {
-        const firstSessionId = Array.from(activeTransports.keys())[0];
-        if (firstSessionId) {
+        const [firstSessionId, firstTransport] = Array.from(activeTransports.entries())[0];
+        if (firstSessionId && firstTransport.clientId === (client?.id || null)) {
           sessionId = firstSessionId;
-          console.log(`[HTTP] No sessionId in query, using single active session: ${sessionId}`);
+          log.debug('No sessionId in query, using the single active session', { session_id: sessionId });
         }
       } else if (!sessionId && activeTransports.size > 1) {
-        console.warn(
-          `[HTTP] Multiple active sessions but no sessionId provided: ${Array.from(activeTransports.keys()).join(', ')}`
-        );
+        log.debug('Multiple active sessions but no sessionId provided', { active_sessions: activeTransports.size });
       }
 
-      console.log(`[HTTP] SessionId: ${sessionId || 'none'}`);
-      console.log(`[HTTP] Active sessions: ${Array.from(activeTransports.keys()).join(', ') || 'none'}`);
-
       // Handle stateless POST requests (no sessionId)
       // For stateless requests, we parse JSON-RPC manually and call server handlers directly
       // This avoids the SSE transport which requires connection/start()
       if (!sessionId) {
-        console.log('[HTTP] No sessionId provided - handling as stateless POST request');
-
         try {
           // Read request body
-          const bodyChunks = [];
-          for await (const chunk of req) {
-            bodyChunks.push(chunk);
-          }
-          const body = Buffer.concat(bodyChunks).toString('utf-8');
-
-          console.log(`[HTTP] Request body: ${body.substring(0, 500)}`);
+          const body = await readRequestBody(req);
 
           // Parse JSON-RPC request
           let request;
@@ -168,6 +475,12 @@ async function handler(req, res) {
             return;
           }
 
+          // JSON-RPC batch: answer every entry in a single array
+          if (Array.isArray(request)) {
+            await handleBatchRequest(server, request, res, req.auth, req.headers['mcp-protocol-version']);
+            return;
+          }
+
           // Validate JSON-RPC format
           if (request.jsonrpc !== '2.0' || !request.method) {
             res.setHeader('Content-Type', 'application/json');
@@ -183,7 +496,7 @@ async function handler(req, res) {
             return;
           }
 
-          console.log(`[HTTP] JSON-RPC method: ${request.method}, id: ${request.id}`);
+          log.debug('JSON-RPC request', { rpc_method: request.method, rpc_id: request.id, params: request.params });
 
           // Check if this is a notification (no id field)
           const isNotification = request.id === undefined || request.id === null;
@@ -193,27 +506,25 @@ async function handler(req, res) {
           try {
             const { mcpServerModule } = await loadMCPModules();
             response = await Promise.resolve(
-              mcpServerModule.handleRequestDirectly(server, request.method, request.params)
+              mcpServerModule.handleRequestDirectly(
+                server,
+                request.method,
+                request.params,
+                req.auth,
+                req.headers['mcp-protocol-version']
+              )
             ).catch((error) => {
               // For notifications, ignore errors (they don't need responses anyway)
               if (isNotification) {
-                console.log(`[HTTP] Ignoring error for notification ${request.method}:`, error.message);
+                log.debug('Ignoring error for notification', { rpc_method: request.method, error });
                 return null;
               }
-              console.error(
-                `[HTTP] Promise rejection in handleRequestDirectly:`,
-                error instanceof Error ? error.message : String(error)
-              );
-              console.error(
-                `[HTTP] Error stack:`,
-                error instanceof Error ? error.stack : 'No stack trace'
-              );
               throw error;
             });
           } catch (error) {
             // For notifications, ignore errors (they don't need responses)
             if (isNotification) {
-              console.log(`[HTTP] Ignoring error for notification ${request.method}:`, error.message);
+              log.debug('Ignoring error for notification', { rpc_method: request.method, error });
               if (!res.headersSent) {
                 res.setHeader('Access-Control-Allow-Origin', '*');
                 res.writeHead(204); // No Content
@@ -222,29 +533,22 @@ async function handler(req, res) {
               return;
             }
             
-            console.error(
-              `[HTTP] Error in handleRequestDirectly:`,
-              error instanceof Error ? error.message : String(error)
-            );
-            console.error(
-              `[HTTP] Error stack:`,
-              error instanceof Error ? error.stack : 'No stack trace'
-            );
-
-            // Send error response
+            // Send error response, with the HTTP status matching the JSON-RPC error
+            const rpcError = toRpcError(error);
+            if (rpcError.code === RPC_ERRORS.INTERNAL_ERROR) {
+              log.error('Error handling request', { rpc_method: request.method, error });
+            } else {
+              log.info('Request rejected', { rpc_method: request.method, rpc_code: rpcError.code, reason: error.message });
+            }
             if (!res.headersSent) {
               res.setHeader('Content-Type', 'application/json');
               res.setHeader('Access-Control-Allow-Origin', '*');
-              res.writeHead(500);
+              res.writeHead(httpStatusForRpcError(rpcError.code));
               res.end(
                 JSON.stringify({
                   jsonrpc: '2.0',
                   id: request.id ?? null,
-                  error: {
-                    code: -32603,
-                    message: 'Internal error',
-                    data: error instanceof Error ? error.message : String(error),
-                  },
+                  error: rpcError,
                 })
               );
             }
@@ -256,7 +560,6 @@ async function handler(req, res) {
             res.setHeader('Access-Control-Allow-Origin', '*');
             res.writeHead(204); // No Content
             res.end();
-            console.log('[HTTP] Sent 204 No Content for notification');
             return;
           }
 
@@ -274,18 +577,13 @@ async function handler(req, res) {
             res.writeHead(200);
             res.end(JSON.stringify(jsonrpcResponse));
           } catch (error) {
-            console.error(`[HTTP] Error sending response:`, error instanceof Error ? error.message : String(error));
+            log.warn('Error sending response', { error });
             // Response already sent or connection closed
           }
 
-          console.log('[HTTP] Successfully handled stateless POST request');
           return;
         } catch (error) {
-          console.error(
-            `[HTTP] Error handling stateless POST:`,
-            error instanceof Error ? error.message : String(error)
-          );
-          console.error('[HTTP] Error stack:', error instanceof Error ? error.stack : 'No stack trace');
+          log.error('Error handling stateless POST', { error });
           if (!res.headersSent) {
             res.setHeader('Content-Type', 'application/json');
             res.setHeader('Access-Control-Allow-Origin', '*');
@@ -309,7 +607,7 @@ async function handler(req, res) {
       // Handle stateful POST requests (with sessionId)
       const transport = activeTransports.get(sessionId);
       if (!transport) {
-        console.warn(`[HTTP] No transport found for sessionId: ${sessionId}`);
+        log.warn('No SSE transport found for session', { session_id: sessionId });
         if (!res.headersSent) {
           res.setHeader('Content-Type', 'application/json');
           res.setHeader('Access-Control-Allow-Origin', '*');
@@ -318,30 +616,31 @@ async function handler(req, res) {
             JSON.stringify({
               error: 'SSE connection not found for session',
               sessionId,
-              activeSessions: Array.from(activeTransports.keys()),
+              // Session ids are credentials of other clients once authentication is on
+              activeSessions: isAuthEnabled() ? undefined : Array.from(activeTransports.keys()),
             })
           );
         }
         return;
       }
 
-      console.log(`[HTTP] Found transport for sessionId: ${sessionId}, calling handlePostMessage...`);
+      if (transport.clientId !== (client?.id || null)) {
+        log.warn('Session belongs to another client', { session_id: sessionId });
+        sendJsonRpcError(res, 403, -32000, 'Forbidden: session belongs to another client');
+        return;
+      }
+
       try {
         const handlePromise = transport.handlePostMessage(req, res);
 
         req.on('error', (error) => {
-          console.error(`[HTTP] Request stream error:`, error);
+          log.error('Request stream error', { session_id: sessionId, error });
         });
 
         await handlePromise;
-        console.log(`[HTTP] Successfully handled POST message for session: ${sessionId}`);
         return;
       } catch (error) {
-        console.error(
-          `[HTTP] Error handling POST message for session ${sessionId}:`,
-          error instanceof Error ? error.message : String(error)
-        );
-        console.error('[HTTP] Error stack:', error instanceof Error ? error.stack : 'No stack trace');
+        log.error('Error handling POST message', { session_id: sessionId, error });
         if (!res.headersSent) {
           res.setHeader('Content-Type', 'application/json');
           res.setHeader('Access-Control-Allow-Origin', '*');
@@ -359,7 +658,6 @@ async function handler(req, res) {
 
     // Test endpoint for debugging
     if (req.method === 'GET' && req.url === '/ping') {
-      console.log('[HTTP] Ping endpoint called');
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.writeHead(200);
@@ -367,24 +665,23 @@ async function handler(req, res) {
         JSON.stringify({
           status: 'ok',
           timestamp: new Date().toISOString(),
-          activeSessions: Array.from(activeTransports.keys()),
+          activeSessions: isAuthEnabled() ? undefined : Array.from(activeTransports.keys()),
           sessionCount: activeTransports.size,
+          streamableSessionCount: streamableTransports.size,
         })
       );
       return;
     }
 
     // Default response
-    console.warn(`[HTTP] Unhandled request: ${req.method} ${req.url}`);
     if (!res.headersSent) {
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.writeHead(404);
-      res.end(JSON.stringify({ error: 'Not found', availableEndpoints: ['/message', '/ping'] }));
+      res.end(JSON.stringify({ error: 'Not found', availableEndpoints: ['/mcp', '/message', '/ping'] }));
     }
   } catch (error) {
-    console.error('[HTTP] Server error:', error instanceof Error ? error.message : String(error));
-    console.error('[HTTP] Error stack:', error instanceof Error ? error.stack : 'No stack trace');
+    log.error('Server error', { error });
     if (!res.headersSent) {
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Access-Control-Allow-Origin', '*');
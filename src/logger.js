@@ -0,0 +1,152 @@
+/**
+ * Structured logger
+ *
+ * Every log line is a JSON object on one line: time, level, component, msg,
+ * the request_id and client_id of the current request context, then the
+ * fields given by the caller. Secrets (authorization headers, API keys,
+ * cookies, tokens) are redacted from the fields and from URLs in the message.
+ *
+ * LOG_LEVEL selects the minimum level: debug, info (default), warn, error or silent.
+ */
+
+const { getRequestContext } = require('./requestContext.js');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LEVEL = 'info';
+
+const REDACTED = '[REDACTED]';
+
+// Header, parameter and field names whose value is never logged
+const SECRET_KEY_PATTERN =
+  /^(?:(?:proxy-)?authorization|(?:set-)?cookie|x-api-key|api[-_]?keys?|(?:access_|refresh_|id_)?token|(?:client_)?secret|password)$/i;
+
+// Secrets inside strings: query parameters and Authorization schemes
+const SECRET_QUERY_PATTERN = /([?&](?:api[-_]?key|token|access_token|key|secret|password)=)[^&#\s"]*/gi;
+const SECRET_SCHEME_PATTERN = /\b(Bearer|Apikey|Basic)\s+[\w.~+/=-]+/gi;
+
+// Nesting below which field values are not serialized
+const MAX_DEPTH = 6;
+
+const config = {
+  level: resolveLevel(process.env.LOG_LEVEL),
+  stream: process.stdout,
+};
+
+function resolveLevel(name) {
+  const level = String(name || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[level] !== undefined ? level : DEFAULT_LEVEL;
+}
+
+/**
+ * Change the level or the output stream (stdio sends logs to stderr)
+ */
+function configureLogger({ level, stream } = {}) {
+  if (level !== undefined) config.level = resolveLevel(level);
+  if (stream !== undefined) config.stream = stream;
+}
+
+function isLevelEnabled(level) {
+  return LEVELS[level] >= LEVELS[config.level];
+}
+
+function redactString(text) {
+  return text.replace(SECRET_QUERY_PATTERN, `$1${REDACTED}`).replace(SECRET_SCHEME_PATTERN, `$1 ${REDACTED}`);
+}
+
+// Loggable form of an error; axios errors carry their request config (and headers), which is left out
+function serializeError(error, withStack) {
+  return {
+    name: error.name,
+    message: redactString(error.message),
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.response?.status !== undefined ? { status: error.response.status } : {}),
+    ...(withStack && error.stack ? { stack: redactString(error.stack) } : {}),
+  };
+}
+
+// Plain object of query parameters; repeated names get an array of their values
+function serializeSearchParams(params) {
+  const object = {};
+  for (const name of new Set(params.keys())) {
+    const values = params.getAll(name);
+    object[name] = values.length > 1 ? values : values[0];
+  }
+  return object;
+}
+
+/**
+ * Copy of a value with the secrets redacted: values of secret keys, and
+ * secrets embedded in strings. URLSearchParams are logged as plain objects.
+ */
+function redact(value, { withStack = false, depth = 0 } = {}) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value, withStack);
+  }
+  if (value instanceof URLSearchParams) {
+    return redact(serializeSearchParams(value), { withStack, depth });
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[…]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, { withStack, depth: depth + 1 }));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, { withStack, depth: depth + 1 });
+  }
+  return copy;
+}
+
+function write(level, component, msg, fields) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+  const { requestId, clientId } = getRequestContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: redactString(String(msg)),
+    ...(requestId ? { request_id: requestId } : {}),
+    ...(clientId ? { client_id: clientId } : {}),
+  };
+  // Fields never override the standard properties
+  for (const [key, value] of Object.entries(redact(fields || {}, { withStack: level === 'error' }))) {
+    if (!(key in entry)) entry[key] = value;
+  }
+  try {
+    config.stream.write(`${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    // Logging must never break a request (e.g. a closed stderr)
+  }
+}
+
+/**
+ * Logger of a component: log.info(msg, fields), and likewise debug, warn, error.
+ * An Error passed in the fields (e.g. { error }) is logged with its name,
+ * message and code, plus its stack at the error level.
+ */
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields),
+    isLevelEnabled,
+  };
+}
+
+module.exports = {
+  LEVELS,
+  REDACTED,
+  configureLogger,
+  createLogger,
+  redact,
+};
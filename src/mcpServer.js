@@ -4,56 +4,2299 @@
 
 // Dynamic imports for ES modules
 let Server, ListToolsRequestSchema, CallToolRequestSchema, ListResourcesRequestSchema, 
-    ReadResourceRequestSchema, ListPromptsRequestSchema, GetPromptRequestSchema;
+    ListResourceTemplatesRequestSchema, ReadResourceRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema,
+    ListPromptsRequestSchema, GetPromptRequestSchema;
+let SUPPORTED_PROTOCOL_VERSIONS, LATEST_PROTOCOL_VERSION, DEFAULT_NEGOTIATED_PROTOCOL_VERSION;
 
 async function loadSDKModules() {
   if (!Server) {
     const sdkServer = await import('@modelcontextprotocol/sdk/server/index.js');
     const sdkTypes = await import('@modelcontextprotocol/sdk/types.js');
-    Server = sdkServer.Server;
+    // The SDK keeps the negotiated protocol version to itself, so it is read from the
+    // result of the SDK's initialize handler, which its constructor registers here
+    Server = class extends sdkServer.Server {
+      setRequestHandler(requestSchema, handler) {
+        if (requestSchema !== sdkTypes.InitializeRequestSchema) {
+          return super.setRequestHandler(requestSchema, handler);
+        }
+        return super.setRequestHandler(requestSchema, async (request, extra) => {
+          const result = await handler(request, extra);
+          this.negotiatedProtocolVersion = result.protocolVersion;
+          log.info('Negotiated protocol version', {
+            protocol_version: result.protocolVersion,
+            requested: request.params?.protocolVersion,
+          });
+          return result;
+        });
+      }
+    };
     ListToolsRequestSchema = sdkTypes.ListToolsRequestSchema;
     CallToolRequestSchema = sdkTypes.CallToolRequestSchema;
     ListResourcesRequestSchema = sdkTypes.ListResourcesRequestSchema;
+    ListResourceTemplatesRequestSchema = sdkTypes.ListResourceTemplatesRequestSchema;
     ReadResourceRequestSchema = sdkTypes.ReadResourceRequestSchema;
+    SubscribeRequestSchema = sdkTypes.SubscribeRequestSchema;
+    UnsubscribeRequestSchema = sdkTypes.UnsubscribeRequestSchema;
     ListPromptsRequestSchema = sdkTypes.ListPromptsRequestSchema;
     GetPromptRequestSchema = sdkTypes.GetPromptRequestSchema;
+    SUPPORTED_PROTOCOL_VERSIONS = sdkTypes.SUPPORTED_PROTOCOL_VERSIONS;
+    LATEST_PROTOCOL_VERSION = sdkTypes.LATEST_PROTOCOL_VERSION;
+    DEFAULT_NEGOTIATED_PROTOCOL_VERSION = sdkTypes.DEFAULT_NEGOTIATED_PROTOCOL_VERSION;
   }
   return { Server, ListToolsRequestSchema, CallToolRequestSchema, ListResourcesRequestSchema, 
-           ReadResourceRequestSchema, ListPromptsRequestSchema, GetPromptRequestSchema };
+           ListResourceTemplatesRequestSchema, ReadResourceRequestSchema, SubscribeRequestSchema,
+           UnsubscribeRequestSchema, ListPromptsRequestSchema, GetPromptRequestSchema };
 }
 
-const axios = require('axios');
+const { randomUUID } = require('crypto');
+const {
+  AGGREGATE_FUNCTIONS,
+  FILTER_OPERATORS,
+  quoteIdentifier,
+  quoteString,
+  buildAggregateQuery,
+  compileFilters,
+} = require('./odsql.js');
+const {
+  findGeoField,
+  findCommuneNameField,
+  findInseeField,
+  findCommuneCodeField,
+  findCommuneField,
+  isInseeCode,
+  isInseeFieldValue,
+  buildNearbyClause,
+  buildBboxClause,
+  buildPolygonClause,
+  representativePoint,
+  haversineDistance,
+} = require('./geo.js');
+const { MemoryLRUStore, FileStore, TieredCache, runWithCacheTrace } = require('./cache.js');
+const { SearchIndex, foldText, tokenize, datasetSnippets } = require('./search.js');
+const {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  DEFAULT_MAX_CHARS,
+  truncateText,
+  formatRowsAsTable,
+  summarizeRecord,
+  outputOptions,
+  formatRecords,
+  limitText,
+} = require('./format.js');
+const {
+  RECORDS_OUTPUT_SCHEMA,
+  DATASETS_OUTPUT_SCHEMA,
+  SEARCH_OUTPUT_SCHEMA,
+  RECENT_CHANGES_OUTPUT_SCHEMA,
+  EXPORT_OUTPUT_SCHEMA,
+  SCHEMA_OUTPUT_SCHEMA,
+  FACETS_OUTPUT_SCHEMA,
+  COMMUNE_PROFILE_OUTPUT_SCHEMA,
+  DATASET_INFO_OUTPUT_SCHEMA,
+} = require('./outputSchemas.js');
+const { RPC_ERRORS, ProtocolError, ToolArgumentError, classifyError, toolErrorResult } = require('./errors.js');
+const { MAX_OFFSET_PLUS_LIMIT, createToolValidator } = require('./validation.js');
+const { CatalogWatcher } = require('./catalogWatcher.js');
+const { loadPrompts, resolveArguments, describePrompt, renderTemplate, renderMessages } = require('./prompts.js');
+const { DEFAULT_PORTAL, getPortal, listPortals, hasPortal } = require('./portals.js');
+const { intFromEnv } = require('./env.js');
+const { runWithRequestContext, getRequestContext } = require('./requestContext.js');
+const { createLogger } = require('./logger.js');
 
-const API_BASE_URL = process.env.API_BASE_URL || 'https://data.haute-garonne.fr/api/explore/v2.1';
+const log = createLogger('mcp');
+const toolLog = createLogger('tool');
+const watchLog = createLogger('watch');
 
-// Cache for dataset catalog
-let datasetCatalogCache = null;
-let cacheTimestamp = null;
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Cache TTLs per kind of request, in seconds from the environment
+const secondsFromEnv = (name, fallback) => intFromEnv(name, fallback) * 1000;
+const CACHE_TTLS = {
+  catalog: secondsFromEnv('CACHE_TTL_CATALOG', 300), // 5 minutes
+  metadata: secondsFromEnv('CACHE_TTL_METADATA', 300), // 5 minutes
+  records: secondsFromEnv('CACHE_TTL_RECORDS', 60), // 1 minute
+  facets: secondsFromEnv('CACHE_TTL_FACETS', 60), // 1 minute
+  export: secondsFromEnv('CACHE_TTL_EXPORTS', 300), // 5 minutes
+};
 
-// Helper function to fetch dataset catalog
-async function getDatasetCatalog() {
-  const now = Date.now();
-  if (datasetCatalogCache && cacheTimestamp && (now - cacheTimestamp) < CACHE_TTL) {
-    return datasetCatalogCache;
+// In-memory LRU first, then the on-disk store when CACHE_DIR is set
+const cacheStores = [
+  new MemoryLRUStore({
+    maxEntries: intFromEnv('CACHE_MAX_ENTRIES', 500),
+    maxBytes: intFromEnv('CACHE_MAX_BYTES', 50 * 1024 * 1024),
+  }),
+];
+if (process.env.CACHE_DIR) {
+  cacheStores.push(new FileStore({ directory: process.env.CACHE_DIR }));
+}
+
+const cache = new TieredCache({
+  stores: cacheStores,
+  ttls: CACHE_TTLS,
+  staleTtl: secondsFromEnv('CACHE_STALE_TTL', 300),
+});
+
+// Index of each cached catalog keyed by dataset_id, built once per catalog object
+const datasetIndexes = new WeakMap();
+
+// Full-text search index of each cached catalog, built on first search
+const searchIndexes = new WeakMap();
+
+/**
+ * Portal the current request talks to (the default portal unless a tool or URI named one)
+ */
+function currentPortal() {
+  return getPortal(getRequestContext().portal);
+}
+
+/**
+ * Run fn against the named portal; throws on an unknown portal name
+ */
+function withPortal(name, fn) {
+  return runWithRequestContext({ portal: getPortal(name).name }, fn);
+}
+
+/**
+ * Cache scope of the current request: clients with their own upstream API key
+ * may see restricted data, so their entries are kept apart from public ones
+ */
+function cacheScope() {
+  const { apikeys, clientId } = getRequestContext();
+  return apikeys?.[currentPortal().name] ? `client:${clientId}` : 'public';
+}
+
+/**
+ * Wrap a request handler so it runs with the caller's upstream API keys and a request ID in context
+ */
+function withAuthContext(handler) {
+  return (request, extra) =>
+    runWithRequestContext(
+      {
+        // HTTP requests already carry one; stdio and session messages get their own
+        requestId: getRequestContext().requestId || randomUUID(),
+        clientId: extra?.authInfo?.clientId || null,
+        apikeys: extra?.authInfo?.extra?.apikeys || {},
+      },
+      () => handler(request, extra)
+    );
+}
+
+// Protocol versions from before outputSchema and structuredContent (added in 2025-06-18).
+// Every version the SDK supports besides these is newer, so it has them.
+const PROTOCOL_VERSIONS_WITHOUT_STRUCTURED_CONTENT = ['2024-10-07', '2024-11-05', '2025-03-26'];
+
+/**
+ * Protocol version of the current request: the MCP-Protocol-Version header on the
+ * stateless HTTP path, else the version negotiated by the session
+ */
+function protocolVersionOf(server) {
+  return getRequestContext().protocolVersion || server.negotiatedProtocolVersion || DEFAULT_NEGOTIATED_PROTOCOL_VERSION;
+}
+
+function supportsStructuredContent(server) {
+  return !PROTOCOL_VERSIONS_WITHOUT_STRUCTURED_CONTENT.includes(protocolVersionOf(server));
+}
+
+/**
+ * Add a slower cache level (e.g. a RedisStore) after the existing ones
+ */
+function addCacheStore(store) {
+  cacheStores.push(store);
+}
+
+// Query parameters in a canonical order, without the unset ones
+function sortedQuery(params = {}) {
+  const query =
+    params instanceof URLSearchParams
+      ? new URLSearchParams(params)
+      : new URLSearchParams(
+          Object.entries(params)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => [name, String(value)])
+        );
+  query.sort();
+  return query;
+}
+
+// Cache key of a portal GET for the current portal and client
+function cacheKey(kind, path, params) {
+  return `${kind}:${cacheScope()}:${currentPortal().baseUrl}${path}?${sortedQuery(params)}`;
+}
+
+/**
+ * GET a portal path through the cache, revalidating with ETag / Last-Modified
+ */
+async function cachedGet(kind, path, params = {}) {
+  const query = sortedQuery(params);
+  const portal = currentPortal();
+  const { data } = await cache.getOrFetch(kind, cacheKey(kind, path, query), async ({ etag, lastModified }) => {
+    const headers = {};
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    const response = await portal.client.get(path, {
+      params: query,
+      headers,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+    });
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    return {
+      data: response.data,
+      etag: response.headers?.etag,
+      lastModified: response.headers?.['last-modified'],
+    };
+  });
+  return data;
+}
+
+// API only accepts limit between -1 and 100, and offset + limit must stay under 10000
+const API_MAX_LIMIT = 100;
+const CATALOG_PAGE_SIZE = API_MAX_LIMIT;
+// Aggregations with group_by may return up to 20000 groups
+const AGGREGATE_MAX_LIMIT = 20000;
+const CATALOG_MAX_RECORDS = 10000;
+const CATALOG_PAGE_CONCURRENCY = 4;
+
+// Run an async mapper over items with at most `concurrency` calls in flight
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function fetchCatalogPage(offset, params = {}) {
+  const response = await currentPortal().client.get('/catalog/datasets', {
+    params: { ...params, limit: CATALOG_PAGE_SIZE, offset },
+  });
+  return response.data;
+}
+
+// Page through /catalog/datasets, optionally filtered by params (where, select), until total_count is reached
+async function loadFullCatalog(params = {}) {
+  const firstPage = await fetchCatalogPage(0, params);
+  const totalCount = Math.min(firstPage.total_count || 0, CATALOG_MAX_RECORDS);
+
+  const offsets = [];
+  for (let offset = CATALOG_PAGE_SIZE; offset < totalCount; offset += CATALOG_PAGE_SIZE) {
+    offsets.push(offset);
   }
+  const pages = await mapWithConcurrency(offsets, CATALOG_PAGE_CONCURRENCY, (offset) => fetchCatalogPage(offset, params));
+
+  const results = [firstPage, ...pages].flatMap((page) => page.results || []);
 
+  log.info('Catalog loaded', {
+    portal: currentPortal().name,
+    ...(Object.keys(params).length > 0 ? { params } : {}),
+    datasets: results.length,
+    total_count: firstPage.total_count,
+    pages: pages.length + 1,
+  });
+  return { total_count: firstPage.total_count, results };
+}
+
+// The full catalog is cached like a catalog request for all results (limit=-1)
+function catalogCacheKey() {
+  return cacheKey('catalog', '/catalog/datasets', { limit: -1 });
+}
+
+// Helper function to fetch the dataset catalog of the current portal
+async function getDatasetCatalog() {
   try {
-    // API only accepts limit between -1 and 100, use 100 to get maximum results
-    const response = await axios.get(`${API_BASE_URL}/catalog/datasets`, {
-      params: { limit: 100 },
-    });
-    datasetCatalogCache = response.data;
-    cacheTimestamp = now;
-    return datasetCatalogCache;
+    // The cache shares a single in-flight load between concurrent callers
+    const { data: catalog } = await cache.getOrFetch('catalog', catalogCacheKey(), async () => ({
+      data: await loadFullCatalog(),
+    }));
+
+    if (!datasetIndexes.has(catalog)) {
+      datasetIndexes.set(catalog, new Map((catalog.results || []).map((ds) => [ds.dataset_id, ds])));
+    }
+    return catalog;
   } catch (error) {
-    console.error('Error fetching dataset catalog:', error.message);
-    if (error.response) {
-      console.error('API Response status:', error.response.status);
-      console.error('API Response data:', error.response.data);
+    log.error('Error fetching dataset catalog', { portal: currentPortal().name, error });
+    throw new Error(`Failed to fetch dataset catalog: ${error.message}`, { cause: error });
+  }
+}
+
+// Look up a single catalog entry by dataset_id
+async function getCatalogDataset(datasetId) {
+  const catalog = await getDatasetCatalog();
+  return datasetIndexes.get(catalog).get(datasetId) || null;
+}
+
+// Fetch the field list of a dataset, from the catalog index when possible
+async function getDatasetFields(datasetId) {
+  const cached = await getCatalogDataset(datasetId);
+  if (cached?.fields) {
+    return cached.fields;
+  }
+  const metadata = await cachedGet('metadata', `/catalog/datasets/${datasetId}`);
+  return metadata.fields || [];
+}
+
+// Dataset exports served by /exports/{format}
+const EXPORT_FORMATS = {
+  csv: { mimeType: 'text/csv', binary: false },
+  geojson: { mimeType: 'application/geo+json', binary: false },
+  jsonl: { mimeType: 'application/jsonl', binary: false },
+  xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', binary: true },
+};
+const EXPORT_MAX_BYTES = intFromEnv('EXPORT_MAX_BYTES', 10 * 1024 * 1024); // 10 MB
+const EXPORT_EMBED_MAX_BYTES = intFromEnv('EXPORT_EMBED_MAX_BYTES', 100 * 1024); // 100 KB
+const EXPORT_CHUNK_SIZE = intFromEnv('EXPORT_CHUNK_SIZE', 100 * 1024, { min: 1 }); // 100 KB
+const EXPORT_TIMEOUT_MS = intFromEnv('EXPORT_TIMEOUT_MS', 60000);
+// Resource URIs are haute-garonne://{portal}/{path}; the older haute-garonne://{path}
+// form, without a portal, still refers to the default portal
+const URI_SCHEME = 'haute-garonne://';
+
+function resourceUri(path, portalName = currentPortal().name) {
+  return `${URI_SCHEME}${portalName}/${path}`;
+}
+
+// Split a resource URI into its portal name and path, or null for another scheme
+function parseResourceUri(uri) {
+  if (!uri.startsWith(URI_SCHEME)) {
+    return null;
+  }
+  const rest = uri.slice(URI_SCHEME.length);
+  const first = rest.split(/[/?]/, 1)[0];
+  if (hasPortal(first)) {
+    return { portal: first, path: rest.slice(first.length + 1) };
+  }
+  return { portal: DEFAULT_PORTAL, path: rest };
+}
+
+// Build the resource URI of an export (without chunk parameter)
+function buildExportUri(datasetId, format, { where, select, limit } = {}) {
+  const query = new URLSearchParams();
+  if (where) query.set('where', where);
+  if (select) query.set('select', select);
+  if (limit !== undefined && limit !== null) query.set('limit', String(limit));
+  const queryString = query.toString();
+  return resourceUri(`dataset/${datasetId}/export/${format}${queryString ? `?${queryString}` : ''}`);
+}
+
+// Parse the resource path dataset/{id}/export/{format}?where=&select=&limit=&chunk=
+function parseExportPath(path) {
+  const match = path.match(/^dataset\/([^/?]+)\/export\/([^/?]+)(?:\?(.*))?$/);
+  if (!match) {
+    return null;
+  }
+  const query = new URLSearchParams(match[3] || '');
+  const limit = query.get('limit');
+  const chunk = query.get('chunk');
+  return {
+    datasetId: decodeURIComponent(match[1]),
+    format: match[2],
+    where: query.get('where') || undefined,
+    select: query.get('select') || undefined,
+    limit: limit !== null ? parseInt(limit, 10) : undefined,
+    chunk: chunk !== null ? parseInt(chunk, 10) : null,
+  };
+}
+
+// Records returned by a records resource when the URI has no limit, and at most
+const RECORDS_RESOURCE_DEFAULT_LIMIT = 20;
+const RECORDS_RESOURCE_MAX_LIMIT = 100;
+
+// Parse the resource paths dataset/{id}, dataset/{id}/schema,
+// dataset/{id}/records?where=&select=&order_by=&limit=&offset= and dataset/{id}/record/{record_id}
+function parseDatasetPath(path) {
+  const match = path.match(/^dataset\/([^/?]+)(?:\/(schema|records|record\/([^/?]+)))?(?:\?(.*))?$/);
+  if (!match) {
+    return null;
+  }
+  const kind = match[2] ? match[2].split('/')[0] : 'metadata';
+  return {
+    datasetId: decodeURIComponent(match[1]),
+    kind,
+    recordId: match[3] ? decodeURIComponent(match[3]) : null,
+    query: new URLSearchParams(match[4] || ''),
+  };
+}
+
+// Query parameters of a records resource, with the limit clamped to what the portal accepts
+function recordsResourceParams(query) {
+  const params = {};
+  for (const name of ['where', 'select', 'order_by']) {
+    if (query.get(name)) params[name] = query.get(name);
+  }
+  const limit = parseInt(query.get('limit'), 10);
+  const offset = parseInt(query.get('offset'), 10);
+  params.limit = Math.min(Math.max(Number.isNaN(limit) ? RECORDS_RESOURCE_DEFAULT_LIMIT : limit, 1), RECORDS_RESOURCE_MAX_LIMIT);
+  if (offset > 0) params.offset = offset;
+  return params;
+}
+
+// JSON text contents of a resource
+function jsonResourceContents(uri, data) {
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
+
+// Download an export, enforcing EXPORT_MAX_BYTES. Exports go through the cache,
+// so chunked reads of the same resource URI don't download again.
+async function fetchDatasetExport(datasetId, format, { where, select, limit } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new ToolArgumentError(`Unsupported export format "${format}" (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const uri = buildExportUri(datasetId, format, { where, select, limit });
+  const path = `/catalog/datasets/${datasetId}/exports/${format}`;
+  const requestParams = { where, select, limit };
+  if (format === 'csv') requestParams.delimiter = ',';
+
+  const portal = currentPortal();
+  const { data } = await cache.getOrFetch('export', cacheKey('export', path, requestParams), async () => {
+    let response;
+    try {
+      response = await portal.client.get(path, {
+        params: sortedQuery(requestParams),
+        timeoutMs: EXPORT_TIMEOUT_MS,
+        responseType: 'arraybuffer',
+        maxContentLength: EXPORT_MAX_BYTES,
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('maxContentLength')) {
+        throw new ToolArgumentError(
+          `Export of "${datasetId}" exceeds ${EXPORT_MAX_BYTES} bytes. Narrow it down with where, select or limit.`
+        );
+      }
+      throw error;
+    }
+    // Stores hold JSON, so binary exports are kept base64-encoded
+    const buffer = Buffer.from(response.data);
+    return { data: { content: buffer.toString(exportFormat.binary ? 'base64' : 'utf-8'), size: buffer.length } };
+  });
+
+  const content = exportFormat.binary ? Buffer.from(data.content, 'base64') : data.content;
+  return {
+    uri,
+    mimeType: exportFormat.mimeType,
+    binary: exportFormat.binary,
+    content,
+    size: data.size,
+    chunkCount: Math.max(1, Math.ceil(content.length / EXPORT_CHUNK_SIZE)),
+  };
+}
+
+// Resource contents for a downloaded export, whole or one chunk of it
+function exportToResourceContents(entry, uri, chunk = null) {
+  let content = entry.content;
+  const meta = { size: entry.size, chunkCount: entry.chunkCount };
+  if (chunk !== null) {
+    if (!Number.isInteger(chunk) || chunk < 0 || chunk >= entry.chunkCount) {
+      throw new Error(`Chunk ${chunk} out of range (export has ${entry.chunkCount} chunks)`);
+    }
+    content = content.slice(chunk * EXPORT_CHUNK_SIZE, (chunk + 1) * EXPORT_CHUNK_SIZE);
+    meta.chunk = chunk;
+    if (chunk + 1 < entry.chunkCount) {
+      meta.nextUri = `${entry.uri}${entry.uri.includes('?') ? '&' : '?'}chunk=${chunk + 1}`;
+    }
+  }
+  return entry.binary
+    ? { uri, mimeType: entry.mimeType, blob: content.toString('base64'), _meta: meta }
+    : { uri, mimeType: entry.mimeType, text: content, _meta: meta };
+}
+
+// Dataset holding commune names and boundaries, by portal name
+// (auto-detected from the catalog unless the portal configures one)
+const communesDatasets = new Map();
+
+// Spatial queries sorted by distance consider at most this many matching records
+const SPATIAL_MAX_CANDIDATES = 500;
+
+// Fold accents, case, separators and the St / Ste abbreviations,
+// so "st gaudens" and "SAINT GAUDENS" match "Saint-Gaudens"
+function normalizeName(value) {
+  return foldText(value)
+    .replace(/[-'’.\s]+/g, ' ')
+    .trim()
+    .replace(/\b(st|ste)\b/g, (abbreviation) => (abbreviation === 'st' ? 'saint' : 'sainte'));
+}
+
+// Find the dataset of the current portal to resolve commune names against
+async function getCommunesDataset() {
+  const portal = currentPortal();
+  if (communesDatasets.has(portal.name)) {
+    return communesDatasets.get(portal.name);
+  }
+
+  if (portal.communesDatasetId) {
+    const dataset = { dataset_id: portal.communesDatasetId, fields: await getDatasetFields(portal.communesDatasetId) };
+    communesDatasets.set(portal.name, dataset);
+    return dataset;
+  }
+
+  const catalog = await getDatasetCatalog();
+  const candidates = (catalog.results || []).filter((ds) => {
+    const fields = ds.fields || [];
+    return (
+      /commune/i.test(`${ds.dataset_id} ${ds.metas?.default?.title || ''}`) &&
+      findGeoField(fields) &&
+      findCommuneNameField(fields)
+    );
+  });
+
+  // Prefer boundaries over points, then the dataset closest to one record per commune
+  const hasShape = (ds) => ds.fields.some((field) => field.type === 'geo_shape');
+  candidates.sort(
+    (a, b) =>
+      hasShape(b) - hasShape(a) ||
+      (a.metas?.default?.records_count || Infinity) - (b.metas?.default?.records_count || Infinity)
+  );
+
+  if (candidates.length === 0) {
+    throw new Error(
+      `No communes dataset found in the catalog of portal "${portal.name}". Set communes_dataset in the portal configuration.`
+    );
+  }
+  communesDatasets.set(portal.name, candidates[0]);
+  log.info('Using communes dataset', { portal: portal.name, dataset_id: candidates[0].dataset_id });
+  return candidates[0];
+}
+
+// Match a field against a value, as a number for int fields (INSEE codes may be stored either way)
+function fieldEqualsClause(field, value) {
+  const literal = field.type === 'int' && /^\d+$/.test(String(value)) ? String(Number(value)) : quoteString(value);
+  return `${quoteIdentifier(field.name)} = ${literal}`;
+}
+
+// Match a field against any of several spellings of a commune name
+function communeNameClause(field, spellings) {
+  const clauses = spellings.map((spelling) => fieldEqualsClause(field, spelling));
+  return clauses.length > 1 ? `(${clauses.join(' or ')})` : clauses[0];
+}
+
+/**
+ * Spellings of a commune name in a text field, with their record counts.
+ * The portal's search() finds the candidates (ignoring case and accents, but not
+ * St / Saint, hence Saint and one-letter words are left out of the search), then
+ * only the values whose normalized form equals the name's are kept.
+ */
+async function findCommuneNameSpellings(datasetId, field, name) {
+  const wanted = normalizeName(name);
+  const words = wanted.split(' ').filter((word) => word.length > 1 && word !== 'saint' && word !== 'sainte');
+  const response = await cachedGet('records', `/catalog/datasets/${datasetId}/records`, {
+    select: `${quoteIdentifier(field.name)}, count(*) as count`,
+    where: `search(${quoteIdentifier(field.name)}, ${quoteString(words.length > 0 ? words.join(' ') : wanted)})`,
+    group_by: quoteIdentifier(field.name),
+    limit: API_MAX_LIMIT,
+  });
+  return (response.results || [])
+    .filter((row) => typeof row[field.name] === 'string' && normalizeName(row[field.name]) === wanted)
+    .map((row) => ({ spelling: row[field.name], count: row.count }));
+}
+
+/**
+ * Field of a dataset holding INSEE commune codes: a field named after them, else
+ * a generic commune code field whose sampled values all have the INSEE format
+ */
+async function findInseeCodeField(datasetId, fields) {
+  const inseeField = findInseeField(fields);
+  if (inseeField) {
+    return inseeField;
+  }
+  const codeField = findCommuneCodeField(fields);
+  if (!codeField) {
+    return null;
+  }
+  const response = await cachedGet('records', `/catalog/datasets/${datasetId}/records`, {
+    select: quoteIdentifier(codeField.name),
+    where: `${quoteIdentifier(codeField.name)} is not null`,
+    limit: 10,
+  });
+  const values = (response.results || []).map((record) => record[codeField.name]);
+  return values.length > 0 && values.every((value) => isInseeFieldValue(codeField, value)) ? codeField : null;
+}
+
+// Resolve a commune name or INSEE code to its name, INSEE code, representative point and,
+// when available, its boundary. With requireLocation false, point may be null.
+async function resolveCommune(name, { requireLocation = true } = {}) {
+  const dataset = await getCommunesDataset();
+  const nameField = findCommuneNameField(dataset.fields);
+  const inseeField = await findInseeCodeField(dataset.dataset_id, dataset.fields);
+  const shapeField = dataset.fields.find((field) => field.type === 'geo_shape');
+  const pointField = dataset.fields.find((field) => field.type === 'geo_point_2d');
+
+  const byCode = isInseeCode(name);
+  if (byCode && !inseeField) {
+    throw new ToolArgumentError(`Dataset "${dataset.dataset_id}" has no INSEE code field; look the commune up by name`);
+  }
+
+  let where;
+  if (byCode) {
+    where = fieldEqualsClause(inseeField, String(name).trim().toUpperCase());
+  } else {
+    const spellings = await findCommuneNameSpellings(dataset.dataset_id, nameField, name);
+    where = spellings.length > 0 ? communeNameClause(nameField, spellings.map(({ spelling }) => spelling)) : null;
+  }
+
+  const response = where
+    ? await cachedGet('records', `/catalog/datasets/${dataset.dataset_id}/records`, { where, limit: 1 })
+    : {};
+  const record = (response.results || [])[0];
+  if (!record) {
+    throw new ToolArgumentError(`Commune "${name}" not found in dataset "${dataset.dataset_id}"`);
+  }
+
+  const shape = shapeField ? record[shapeField.name] : null;
+  const point =
+    (pointField && representativePoint(record[pointField.name])) || (shape && representativePoint(shape)) || null;
+  if (!point && requireLocation) {
+    throw new Error(`Commune "${record[nameField.name]}" has no location in dataset "${dataset.dataset_id}"`);
+  }
+
+  return {
+    name: record[nameField.name],
+    insee: inseeField && record[inseeField.name] !== null ? String(record[inseeField.name]) : null,
+    point,
+    geometry: shape ? shape.geometry || shape : null,
+  };
+}
+
+// Run a spatial filter on a dataset and sort the matches by distance to origin
+async function runSpatialQuery(datasetId, buildClause, { origin, where, select, limit = 20, offset = 0 }) {
+  // Only the first SPATIAL_MAX_CANDIDATES matches are sorted, so pages past them would always be empty
+  if (offset + limit > SPATIAL_MAX_CANDIDATES) {
+    throw new ProtocolError(
+      RPC_ERRORS.INVALID_PARAMS,
+      `offset plus limit must be at most ${SPATIAL_MAX_CANDIDATES} for spatial queries (got ${offset} + ${limit}); narrow the area or add a where filter instead`,
+      { violations: [{ argument: 'offset', message: `plus limit must be at most ${SPATIAL_MAX_CANDIDATES}`, value: offset }] }
+    );
+  }
+  const fields = await getDatasetFields(datasetId);
+  const geoField = findGeoField(fields);
+  if (!geoField) {
+    throw new ToolArgumentError(`Dataset "${datasetId}" has no geo_point_2d or geo_shape field`);
+  }
+
+  const spatialClause = buildClause(geoField.name);
+  const requestParams = { where: where ? `(${spatialClause}) and (${where})` : spatialClause };
+  if (select) {
+    const selected = select.split(',').map((name) => name.trim());
+    requestParams.select = selected.includes(geoField.name) ? select : `${select}, ${geoField.name}`;
+  }
+
+  const fetchPage = (pageOffset) =>
+    cachedGet('records', `/catalog/datasets/${datasetId}/records`, {
+      ...requestParams,
+      limit: CATALOG_PAGE_SIZE,
+      offset: pageOffset,
+    });
+
+  // Distance sorting happens here, so collect every candidate before paginating
+  const firstPage = await fetchPage(0);
+  const totalCount = firstPage.total_count || 0;
+  const offsets = [];
+  for (let o = CATALOG_PAGE_SIZE; o < Math.min(totalCount, SPATIAL_MAX_CANDIDATES); o += CATALOG_PAGE_SIZE) {
+    offsets.push(o);
+  }
+  const pages = await mapWithConcurrency(offsets, CATALOG_PAGE_CONCURRENCY, fetchPage);
+
+  const records = [firstPage, ...pages]
+    .flatMap((page) => page.results || [])
+    .map((record) => {
+      const point = representativePoint(record[geoField.name]);
+      return { ...record, _distance_m: point ? Math.round(haversineDistance(origin, point)) : null };
+    })
+    .sort((a, b) => (a._distance_m ?? Infinity) - (b._distance_m ?? Infinity));
+
+  return {
+    records: records.slice(offset, offset + limit),
+    totalCount,
+    truncated: totalCount > SPATIAL_MAX_CANDIDATES,
+  };
+}
+
+// Tool result of a spatial query
+function formatSpatialResult(datasetId, areaLabel, { records, totalCount, truncated }, { offset, output }) {
+  const note = truncated
+    ? ` Only the first ${SPATIAL_MAX_CANDIDATES} matches were sorted by distance; narrow the area or add a where filter.`
+    : '';
+  const { text, shown, nextOffset } = formatRecords(records, {
+    ...output,
+    offset,
+    total: Math.min(totalCount, SPATIAL_MAX_CANDIDATES),
+    summarize: ({ _distance_m, ...record }) => `${_distance_m ?? '?'} m: ${summarizeRecord(record)}`,
+    header: (count) =>
+      `Found ${totalCount} records ${areaLabel} in dataset "${datasetId}". Showing ${count} records sorted by distance (_distance_m, in meters):${note}`,
+  });
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: recordsContent(datasetId, records.slice(0, shown), { totalCount, offset, nextOffset }),
+  };
+}
+
+// structuredContent of a page of records
+function recordsContent(datasetId, records, { totalCount, offset, nextOffset }) {
+  return {
+    portal: currentPortal().name,
+    dataset_id: datasetId,
+    total_count: totalCount,
+    offset,
+    next_offset: nextOffset,
+    records,
+  };
+}
+
+// Schema description settings
+const SCHEMA_SAMPLE_RECORDS = 20;
+const SCHEMA_SAMPLE_VALUES = 3;
+const SCHEMA_TOP_FACET_VALUES = 5;
+const SCHEMA_MAX_CELL_LENGTH = 60;
+
+// Strip HTML tags the portal puts in descriptions
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Compact schema of a dataset: field table, sample values and top facet values.
+ * Resolves to { text, structuredContent }.
+ */
+async function describeDatasetSchema(datasetId) {
+  const metadata = await cachedGet('metadata', `/catalog/datasets/${datasetId}`);
+  const fields = metadata.fields || [];
+
+  const facetFields = fields.filter((field) => field.annotations && 'facet' in field.annotations);
+  const facetParams = new URLSearchParams();
+  facetFields.forEach((field) => facetParams.append('facet', field.name));
+
+  const [recordsResponse, facetsResponse] = await Promise.all([
+    cachedGet('records', `/catalog/datasets/${datasetId}/records`, {
+      limit: SCHEMA_SAMPLE_RECORDS,
+    }),
+    facetFields.length > 0
+      ? cachedGet('facets', `/catalog/datasets/${datasetId}/facets`, facetParams)
+      : Promise.resolve({ facets: [] }),
+  ]);
+
+  const records = recordsResponse.results || [];
+  const facetsByField = new Map((facetsResponse.facets || []).map((facet) => [facet.name, facet.facets || []]));
+
+  const fieldInfos = fields.map((field) => {
+    const annotations = field.annotations || {};
+    const samples = [];
+    for (const record of records) {
+      const value = record[field.name];
+      if (value === null || value === undefined || value === '') continue;
+      const text = truncateText(typeof value === 'object' ? JSON.stringify(value) : value, SCHEMA_MAX_CELL_LENGTH);
+      if (!samples.includes(text)) samples.push(text);
+      if (samples.length >= SCHEMA_SAMPLE_VALUES) break;
+    }
+    return {
+      name: field.name,
+      label: field.label || '',
+      type: field.type,
+      unit: [].concat(annotations.unit || []).join(', '),
+      facetable: 'facet' in annotations,
+      sortable: 'sortable' in annotations || ['int', 'double', 'date', 'datetime'].includes(field.type),
+      description: truncateText(stripHtml(field.description), SCHEMA_MAX_CELL_LENGTH * 2),
+      samples,
+    };
+  });
+  const rows = fieldInfos.map((info) => ({
+    ...info,
+    facetable: info.facetable ? 'yes' : 'no',
+    sortable: info.sortable ? 'yes' : 'no',
+    samples: info.samples.join(' ; '),
+  }));
+
+  const topValues = facetFields
+    .filter((field) => (facetsByField.get(field.name) || []).length > 0)
+    .map((field) => {
+      const values = facetsByField
+        .get(field.name)
+        .slice()
+        .sort((a, b) => b.count - a.count)
+        .slice(0, SCHEMA_TOP_FACET_VALUES)
+        .map((facet) => `${truncateText(facet.name, SCHEMA_MAX_CELL_LENGTH)} (${facet.count})`);
+      return `- ${field.name}: ${values.join(', ')}`;
+    });
+
+  const title = metadata.metas?.default?.title || datasetId;
+  const recordCount = metadata.metas?.default?.records_count;
+  const text = [
+    `Schema of dataset "${datasetId}" (${title}): ${fields.length} fields${recordCount !== undefined ? `, ${recordCount} records` : ''}`,
+    '',
+    formatRowsAsTable(rows, '(no fields)'),
+    ...(topValues.length > 0 ? ['', 'Top values of facetable fields:', ...topValues] : []),
+  ].join('\n');
+  return {
+    text,
+    structuredContent: { dataset_id: datasetId, title, records_count: recordCount ?? null, fields: fieldInfos },
+  };
+}
+
+// Catalog timestamps checked by recent_changes, with the kind of change each one reports
+const CHANGE_TIMESTAMPS = {
+  data_processed: 'data',
+  metadata_processed: 'metadata',
+  modified: 'modified',
+};
+const RECENT_CHANGES_MAX_LIMIT = 100;
+// Matching datasets fetched and ranked locally: 10 pages of the largest page size
+const RECENT_CHANGES_MAX_DATASETS = 10 * API_MAX_LIMIT;
+
+/**
+ * ODSQL condition on the catalog: any of CHANGE_TIMESTAMPS at or after a time.
+ * A dataset created since then had its metadata processed since then too,
+ * so the condition finds it even though dcat.created is not queried.
+ */
+function changedSinceClause(sinceTime) {
+  const sinceLiteral = `date'${new Date(sinceTime).toISOString()}'`;
+  return Object.keys(CHANGE_TIMESTAMPS)
+    .map((field) => `${field} >= ${sinceLiteral}`)
+    .join(' or ');
+}
+
+// Latest of the timestamps of a recent_changes row, null when it has none
+function latestChange(row) {
+  const times = [row.created, row.modified, row.data_processed, row.metadata_processed]
+    .map((value) => (value ? Date.parse(value) : NaN))
+    .filter((time) => !Number.isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Datasets created or changed since a date, most recent change first.
+ * The portal filters the catalog, but cannot order by the latest of several
+ * timestamps: up to RECENT_CHANGES_MAX_DATASETS matches are fetched and ranked
+ * here. Resolves to { text, structuredContent }.
+ */
+async function getRecentChanges({ since, theme, publisher, limit = 50, offset = 0 }, output) {
+  const sinceTime = Date.parse(since);
+  if (!since || Number.isNaN(sinceTime)) {
+    throw new ToolArgumentError(`since must be an ISO 8601 date, e.g. "2026-10-01", got ${JSON.stringify(since)}`);
+  }
+
+  const pageParams = (pageOffset) => {
+    const params = new URLSearchParams();
+    params.append('where', changedSinceClause(sinceTime));
+    // Past RECENT_CHANGES_MAX_DATASETS matches, the most recently modified ones are kept
+    params.append('order_by', 'modified desc');
+    params.append('limit', String(API_MAX_LIMIT));
+    params.append('offset', String(pageOffset));
+    appendFacetFilters(params, 'refine', { ...(theme ? { theme } : {}), ...(publisher ? { publisher } : {}) });
+    return params;
+  };
+
+  const firstPage = await cachedGet('catalog', '/catalog/datasets', pageParams(0));
+  const total = firstPage.total_count ?? (firstPage.results || []).length;
+  const offsets = [];
+  for (let pageOffset = API_MAX_LIMIT; pageOffset < Math.min(total, RECENT_CHANGES_MAX_DATASETS); pageOffset += API_MAX_LIMIT) {
+    offsets.push(pageOffset);
+  }
+  const pages = await mapWithConcurrency(offsets, CATALOG_PAGE_CONCURRENCY, (pageOffset) =>
+    cachedGet('catalog', '/catalog/datasets', pageParams(pageOffset))
+  );
+
+  const isRecent = (value) => Boolean(value) && Date.parse(value) >= sinceTime;
+  const ranked = [firstPage, ...pages]
+    .flatMap((page) => page.results || [])
+    .map((ds) => {
+      const metas = ds.metas?.default || {};
+      const created = ds.metas?.dcat?.created || ds.metas?.dcat?.issued || null;
+      const changes = [
+        ...(isRecent(created) ? ['created'] : []),
+        ...Object.entries(CHANGE_TIMESTAMPS)
+          .filter(([field]) => isRecent(metas[field]))
+          .map(([, change]) => change),
+      ];
+      const row = {
+        portal: currentPortal().name,
+        dataset_id: ds.dataset_id,
+        title: truncateText(metas.title || ds.dataset_id, SCHEMA_MAX_CELL_LENGTH),
+        changes,
+        created,
+        modified: metas.modified || null,
+        data_processed: metas.data_processed || null,
+        metadata_processed: metas.metadata_processed || null,
+        theme: [].concat(metas.theme || []),
+        publisher: metas.publisher || null,
+      };
+      return { ...row, latest_change: latestChange(row) };
+    })
+    .sort((a, b) => (b.latest_change || '').localeCompare(a.latest_change || ''));
+  const rows = ranked.slice(offset, offset + limit);
+
+  const filters = [theme ? `theme ${theme}` : null, publisher ? `publisher ${publisher}` : null].filter(Boolean);
+  const truncated = total > ranked.length;
+  const { text, shown, nextOffset } = formatRecords(
+    rows.map(({ portal, ...row }) => row),
+    {
+      ...output,
+      offset,
+      // Paging stops at the end of the ranked datasets
+      total: ranked.length,
+      emptyText: '(no changes)',
+      summarize: (row) => `${row.dataset_id}: ${row.title} (${row.changes.join(', ')}, ${row.latest_change})`,
+      header: (count) =>
+        `${total} datasets created or updated since ${new Date(sinceTime).toISOString()}${filters.length > 0 ? ` (${filters.join(', ')})` : ''} on ${currentPortal().title}. Showing ${count} (offset: ${offset}), most recent change first` +
+        (truncated
+          ? ` among the ${ranked.length} most recently modified (narrow since, theme or publisher to rank them all):`
+          : ':'),
+    }
+  );
+  return {
+    text,
+    structuredContent: { total_count: total, offset, next_offset: nextOffset, datasets: rows.slice(0, shown) },
+  };
+}
+
+// Catalog facets shown when get_facets is called without dataset_id
+const CATALOG_DEFAULT_FACETS = ['theme', 'publisher', 'keyword', 'license'];
+
+// Append refine/exclude parameters from { facet: value | [values] }
+function appendFacetFilters(params, key, filters) {
+  if (!filters) return;
+  for (const [facet, values] of Object.entries(filters)) {
+    for (const value of [].concat(values)) {
+      params.append(key, `${facet}:${quoteString(value)}`);
+    }
+  }
+}
+
+/**
+ * Value counts for catalog facets, or for the fields of one dataset.
+ * Resolves to { text, structuredContent }.
+ */
+async function getFacets({ dataset_id, facet, where, refine, exclude, limit = 20 }) {
+  let facetNames = [].concat(facet || []);
+  if (dataset_id) {
+    if (facetNames.length === 0) {
+      throw new ToolArgumentError('facet is required when dataset_id is given');
+    }
+    const fieldNames = new Set((await getDatasetFields(dataset_id)).map((field) => field.name));
+    const referenced = [...facetNames, ...Object.keys(refine || {}), ...Object.keys(exclude || {})];
+    const unknown = referenced.filter((name) => !fieldNames.has(name));
+    if (unknown.length > 0) {
+      throw new ToolArgumentError(`Unknown field(s) in dataset "${dataset_id}": ${unknown.join(', ')}. Available fields: ${[...fieldNames].join(', ')}`);
     }
-    throw new Error(`Failed to fetch dataset catalog: ${error.message}`);
+  } else if (facetNames.length === 0) {
+    facetNames = CATALOG_DEFAULT_FACETS;
   }
+
+  const params = new URLSearchParams();
+  facetNames.forEach((name) => params.append('facet', name));
+  if (where) params.append('where', where);
+  appendFacetFilters(params, 'refine', refine);
+  appendFacetFilters(params, 'exclude', exclude);
+
+  const path = dataset_id ? `/catalog/datasets/${dataset_id}/facets` : '/catalog/facets';
+  const response = await cachedGet('facets', path, params);
+
+  const facets = (response.facets || []).map((group) => {
+    const values = (group.facets || []).slice().sort((a, b) => b.count - a.count);
+    return {
+      name: group.name,
+      value_count: values.length,
+      values: values.slice(0, limit).map((value) => ({ name: String(value.name), count: value.count })),
+    };
+  });
+  const sections = facets.map((group) => {
+    const shown = group.values.map((value) => `- ${value.name}: ${value.count}`);
+    const more = group.value_count > limit ? [`- … ${group.value_count - limit} more values`] : [];
+    return [`${group.name} (${group.value_count} values):`, ...shown, ...more].join('\n');
+  });
+
+  const scope = dataset_id ? `dataset "${dataset_id}"` : 'the catalog';
+  const filters = [
+    where ? `where ${where}` : null,
+    refine ? `refine ${JSON.stringify(refine)}` : null,
+    exclude ? `exclude ${JSON.stringify(exclude)}` : null,
+  ].filter(Boolean);
+  return {
+    text: `Facets of ${scope}${filters.length > 0 ? ` (${filters.join(', ')})` : ''}:\n\n${sections.join('\n\n') || '(no facet values)'}`,
+    structuredContent: { dataset_id: dataset_id || null, facets },
+  };
+}
+
+// Commune profile settings
+const PROFILE_DEFAULT_MAX_DATASETS = 40;
+const PROFILE_MAX_VALUES = 10;
+const PROFILE_SKIPPED_FIELD_TYPES = ['geo_point_2d', 'geo_shape', 'file', 'json_blob'];
+
+// Public page of a dataset on its portal
+function datasetPageUrl(datasetId) {
+  const siteUrl = currentPortal().baseUrl.replace(/\/api\/explore\/v[\d.]+$/, '');
+  return `${siteUrl}/explore/dataset/${datasetId}/`;
+}
+
+/**
+ * Overview of one commune across the catalog: every dataset with an INSEE code or
+ * commune name field is counted for the commune, in parallel, and grouped by theme.
+ * Datasets with a single matching record (per-commune statistics) also show its values.
+ * Resolves to { text, structuredContent }.
+ */
+async function buildCommuneProfile({ commune, theme, max_datasets = PROFILE_DEFAULT_MAX_DATASETS }) {
+  const resolved = await resolveCommune(commune, { requireLocation: false });
+  const catalog = await getDatasetCatalog();
+
+  const candidates = (catalog.results || []).filter((ds) => {
+    if (theme && !hasMetaValue(ds, 'theme', theme)) return false;
+    const fields = ds.fields || [];
+    return (resolved.insee && (findInseeField(fields) || findCommuneCodeField(fields))) || findCommuneField(fields);
+  });
+  const selected = candidates.slice(0, max_datasets);
+
+  const outcomes = await mapWithConcurrency(selected, CATALOG_PAGE_CONCURRENCY, async (ds) => {
+    try {
+      // Prefer the INSEE code, an exact key, over the commune name
+      const fields = ds.fields || [];
+      let field = resolved.insee ? await findInseeCodeField(ds.dataset_id, fields) : null;
+      let where;
+      if (field) {
+        where = fieldEqualsClause(field, resolved.insee);
+      } else {
+        field = findCommuneField(fields);
+        const spellings = field ? await findCommuneNameSpellings(ds.dataset_id, field, resolved.name) : [];
+        if (spellings.length === 0) {
+          return { ds, count: 0 };
+        }
+        where = communeNameClause(field, spellings.map(({ spelling }) => spelling));
+      }
+      const response = await cachedGet('records', `/catalog/datasets/${ds.dataset_id}/records`, { where, limit: 1 });
+      return { ds, field, where, count: response.total_count || 0, first: (response.results || [])[0] || null };
+    } catch (error) {
+      return { ds, error: error.message };
+    }
+  });
+
+  const themes = {};
+  const failed = [];
+  let empty = 0;
+  for (const outcome of outcomes) {
+    if (outcome.error) {
+      failed.push({ dataset_id: outcome.ds.dataset_id, error: outcome.error });
+      continue;
+    }
+    if (outcome.count === 0) {
+      empty++;
+      continue;
+    }
+
+    const metas = outcome.ds.metas?.default || {};
+    const entry = {
+      dataset_id: outcome.ds.dataset_id,
+      title: metas.title || outcome.ds.dataset_id,
+      records: outcome.count,
+      matched_on: outcome.field.name,
+      uri: resourceUri(`dataset/${outcome.ds.dataset_id}/records?${new URLSearchParams({ where: outcome.where })}`),
+      url: datasetPageUrl(outcome.ds.dataset_id),
+    };
+    if (outcome.count === 1 && outcome.first) {
+      const skipped = new Set((outcome.ds.fields || [])
+        .filter((f) => PROFILE_SKIPPED_FIELD_TYPES.includes(f.type))
+        .map((f) => f.name));
+      skipped.add(outcome.field.name);
+      entry.values = Object.fromEntries(
+        Object.entries(outcome.first)
+          .filter(([name, value]) => !skipped.has(name) && value !== null && value !== '' && typeof value !== 'object')
+          .slice(0, PROFILE_MAX_VALUES)
+          .map(([name, value]) => [name, typeof value === 'string' ? truncateText(value, SCHEMA_MAX_CELL_LENGTH) : value])
+      );
+    }
+
+    const themeName = [].concat(metas.theme || [])[0] || 'Other';
+    (themes[themeName] = themes[themeName] || []).push(entry);
+  }
+  for (const entries of Object.values(themes)) {
+    entries.sort((a, b) => b.records - a.records);
+  }
+
+  const profile = {
+    commune: {
+      name: resolved.name,
+      insee: resolved.insee,
+      location: resolved.point,
+    },
+    portal: currentPortal().name,
+    datasets_checked: selected.length,
+    datasets_with_records: selected.length - empty - failed.length,
+    themes,
+  };
+  if (failed.length > 0) profile.failed = failed;
+
+  const notes = [];
+  if (candidates.length > selected.length) {
+    notes.push(`Only the first ${selected.length} of ${candidates.length} datasets with a commune field were checked; raise max_datasets or filter by theme.`);
+  }
+  return {
+    text: `Profile of ${resolved.name}${resolved.insee ? ` (INSEE ${resolved.insee})` : ''}: ${profile.datasets_with_records} of ${selected.length} datasets have records for this commune.${notes.length > 0 ? ` ${notes.join(' ')}` : ''}\n\n${JSON.stringify(profile, null, 2)}`,
+    structuredContent: profile,
+  };
+}
+
+function getSearchIndex(catalog) {
+  if (!searchIndexes.has(catalog)) {
+    searchIndexes.set(catalog, new SearchIndex(catalog.results || catalog.datasets || []));
+  }
+  return searchIndexes.get(catalog);
+}
+
+/**
+ * Ranked search over the catalog of the current portal.
+ * When nothing matches locally and portalSearch is set, falls back to the
+ * portal's own search() ODSQL function. Resolves to { total, hits, source }.
+ */
+async function searchCatalog(query, { limit, portalSearch }) {
+  const catalog = await getDatasetCatalog();
+  const { total, results } = getSearchIndex(catalog).search(query, { limit });
+  const portal = currentPortal().name;
+
+  const toHit = ({ dataset, score, snippets }) => ({
+    portal,
+    dataset_id: dataset.dataset_id,
+    score,
+    title: snippets.title,
+    snippet: snippets.description,
+    theme: dataset.metas?.default?.theme || [],
+    publisher: dataset.metas?.default?.publisher || null,
+    keywords: dataset.metas?.default?.keyword || [],
+    records_count: dataset.metas?.default?.records_count ?? null,
+  });
+
+  if (total > 0 || !portalSearch) {
+    return { total, hits: results.map(toHit), source: 'index' };
+  }
+
+  const response = await cachedGet('catalog', '/catalog/datasets', {
+    where: `search(*, ${quoteString(query)})`,
+    limit: Math.min(limit, CATALOG_PAGE_SIZE),
+  });
+  const terms = new Set(tokenize(query));
+  return {
+    total: response.total_count || 0,
+    hits: (response.results || []).map((dataset) =>
+      toHit({ dataset, score: null, snippets: datasetSnippets(dataset, terms) })
+    ),
+    source: 'portal',
+  };
+}
+
+// Catalog entry without the full metas tree, as listed by list_datasets
+function datasetSummary(ds) {
+  const metas = ds.metas?.default || {};
+  return {
+    portal: currentPortal().name,
+    dataset_id: ds.dataset_id,
+    title: metas.title || ds.dataset_id,
+    theme: [].concat(metas.theme || []),
+    publisher: metas.publisher || null,
+    keywords: [].concat(metas.keyword || []),
+    records_count: metas.records_count ?? null,
+    modified: metas.modified || null,
+    description: truncateText(stripHtml(metas.description), SCHEMA_MAX_CELL_LENGTH * 2),
+  };
+}
+
+// Summary line of a dataset in list_datasets and search_datasets results
+const summarizeDataset = (ds) =>
+  `${ds.portal ? `${ds.portal}/` : ''}${ds.dataset_id}: ${stripHtml(ds.title)}${ds.records_count !== null ? ` (${ds.records_count} records)` : ''}`;
+
+// Dataset metadata as markdown: main metas, then the field table
+function formatDatasetInfo(metadata, format) {
+  if (format === 'json') {
+    return JSON.stringify(metadata);
+  }
+  const metas = metadata.metas?.default || {};
+  if (format === 'summary') {
+    return [
+      `${metas.title || metadata.dataset_id} (${metas.records_count ?? '?'} records, ${(metadata.fields || []).length} fields)`,
+      truncateText(stripHtml(metas.description), SCHEMA_MAX_CELL_LENGTH * 4),
+    ].join('\n');
+  }
+  const entries = Object.entries(metas)
+    .filter(([, value]) => value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([name, value]) => `- ${name}: ${name === 'description' ? stripHtml(value) : [].concat(value).join(', ')}`);
+  const fields = (metadata.fields || []).map((field) => ({
+    name: field.name,
+    label: field.label || '',
+    type: field.type,
+    description: truncateText(stripHtml(field.description), SCHEMA_MAX_CELL_LENGTH * 2),
+  }));
+  return [...entries, '', formatRowsAsTable(fields, '(no fields)')].join('\n');
+}
+
+/**
+ * Execute a tool call and return its MCP result
+ */
+async function callTool(toolName, args) {
+  const output = outputOptions(args);
+  let result;
+  switch (toolName) {
+    case 'list_datasets': {
+      const limit = args.limit || 100;
+      const offset = args.offset || 0;
+      const catalog = await getDatasetCatalog();
+      const datasets = catalog.results || catalog.datasets || [];
+      const paginated = datasets.slice(offset, offset + limit).map(datasetSummary);
+      const { text, shown, nextOffset } = formatRecords(
+        paginated.map(({ portal, keywords, ...ds }) => ds),
+        {
+          ...output,
+          offset,
+          total: datasets.length,
+          summarize: summarizeDataset,
+          emptyText: '(no datasets)',
+          header: (count) => `Found ${datasets.length} total datasets. Showing ${count} datasets (offset: ${offset}):`,
+        }
+      );
+
+      result = {
+        content: [{ type: 'text', text }],
+        structuredContent: {
+          total_count: datasets.length,
+          offset,
+          next_offset: nextOffset,
+          datasets: paginated.slice(0, shown),
+        },
+      };
+      break;
+    }
+
+    case 'query_dataset': {
+      const { dataset_id, limit = 100, offset = 0, where, filters, select } = args;
+      if (!dataset_id) {
+        throw new ToolArgumentError('dataset_id is required');
+      }
+
+      const requestParams = {
+        limit,
+        offset,
+      };
+      const whereClauses = [];
+      if (where) whereClauses.push(where);
+      if (filters) whereClauses.push(compileFilters(await getDatasetFields(dataset_id), filters));
+      if (whereClauses.length === 1) requestParams.where = whereClauses[0];
+      if (whereClauses.length > 1) requestParams.where = whereClauses.map((clause) => `(${clause})`).join(' and ');
+      if (select) requestParams.select = select;
+
+      const response = await cachedGet('records', `/catalog/datasets/${dataset_id}/records`, requestParams);
+
+      const records = response.results || [];
+      const totalCount = response.total_count || records.length;
+      const { text, shown, nextOffset } = formatRecords(records, {
+        ...output,
+        offset,
+        total: totalCount,
+        header: (count) => `Found ${totalCount} records in dataset "${dataset_id}". Showing ${count} records (offset: ${offset}):`,
+      });
+
+      result = {
+        content: [{ type: 'text', text }],
+        structuredContent: recordsContent(dataset_id, records.slice(0, shown), { totalCount, offset, nextOffset }),
+      };
+      break;
+    }
+
+    case 'aggregate_dataset': {
+      const { dataset_id, group_by = [], metrics = [], where, order_by, limit = 100 } = args;
+      if (!dataset_id) {
+        throw new ToolArgumentError('dataset_id is required');
+      }
+
+      const fields = await getDatasetFields(dataset_id);
+      const requestParams = {
+        ...buildAggregateQuery(fields, { group_by, metrics, order_by }),
+        limit,
+      };
+      if (where) requestParams.where = where;
+
+      const response = await cachedGet('records', `/catalog/datasets/${dataset_id}/records`, requestParams);
+
+      const rows = response.results || [];
+      const groupFields = [].concat(group_by);
+      const groupLabel = groupFields.length > 0 ? ` by ${groupFields.join(', ')}` : '';
+
+      const { text, shown } = formatRecords(rows, {
+        ...output,
+        emptyText: '(no groups)',
+        header: (count) =>
+          `Aggregated dataset "${dataset_id}"${groupLabel}${where ? ` where ${where}` : ''}: ${rows.length} groups${count < rows.length ? `, showing ${count}` : ''}`,
+      });
+
+      result = {
+        content: [{ type: 'text', text }],
+        structuredContent: recordsContent(dataset_id, rows.slice(0, shown), {
+          totalCount: rows.length,
+          offset: 0,
+          nextOffset: null,
+        }),
+      };
+      break;
+    }
+
+    case 'export_dataset': {
+      const { dataset_id, format = 'csv', where, select, limit } = args;
+      if (!dataset_id) {
+        throw new ToolArgumentError('dataset_id is required');
+      }
+
+      const entry = await fetchDatasetExport(dataset_id, format, { where, select, limit });
+      const structuredContent = {
+        dataset_id,
+        format,
+        mime_type: entry.mimeType,
+        size: entry.size,
+        uri: entry.uri,
+        embedded: entry.size <= EXPORT_EMBED_MAX_BYTES,
+        chunk_count: entry.chunkCount,
+      };
+
+      if (entry.size <= EXPORT_EMBED_MAX_BYTES) {
+        result = {
+          content: [
+            {
+              type: 'text',
+              text: `Exported dataset "${dataset_id}" as ${format} (${entry.size} bytes):`,
+            },
+            {
+              type: 'resource',
+              resource: exportToResourceContents(entry, entry.uri),
+            },
+          ],
+          structuredContent,
+        };
+      } else {
+        const firstChunkUri = `${entry.uri}${entry.uri.includes('?') ? '&' : '?'}chunk=0`;
+        result = {
+          content: [
+            {
+              type: 'text',
+              text: `Exported dataset "${dataset_id}" as ${format} (${entry.size} bytes), too large to embed. Read it from ${entry.uri}, or in ${entry.chunkCount} chunks starting with ${firstChunkUri} (each chunk links to the next one in _meta.nextUri).`,
+            },
+            {
+              type: 'resource_link',
+              uri: entry.uri,
+              name: `${dataset_id}.${format}`,
+              mimeType: entry.mimeType,
+            },
+          ],
+          structuredContent,
+        };
+      }
+      break;
+    }
+
+    case 'query_nearby': {
+      const { dataset_id, latitude, longitude, commune, radius_m = 1000, where, select, limit = 20, offset = 0 } = args;
+      if (!dataset_id) {
+        throw new ToolArgumentError('dataset_id is required');
+      }
+
+      let origin;
+      let centerLabel;
+      if (commune) {
+        const resolved = await resolveCommune(commune);
+        origin = resolved.point;
+        centerLabel = resolved.name;
+      } else if (latitude !== undefined && longitude !== undefined) {
+        origin = { lat: latitude, lon: longitude };
+        centerLabel = `(${latitude}, ${longitude})`;
+      } else {
+        throw new ToolArgumentError('Either latitude and longitude, or commune, is required');
+      }
+
+      const spatialResult = await runSpatialQuery(
+        dataset_id,
+        (geoField) => buildNearbyClause(geoField, origin, radius_m),
+        { origin, where, select, limit, offset }
+      );
+
+      result = formatSpatialResult(dataset_id, `within ${radius_m} m of ${centerLabel}`, spatialResult, { offset, output });
+      break;
+    }
+
+    case 'query_within': {
+      const { dataset_id, bbox, polygon, commune, latitude, longitude, where, select, limit = 20, offset = 0 } = args;
+      if (!dataset_id) {
+        throw new ToolArgumentError('dataset_id is required');
+      }
+      if ([bbox, polygon, commune].filter((area) => area !== undefined).length !== 1) {
+        throw new ToolArgumentError('Exactly one of bbox, polygon or commune is required');
+      }
+
+      let buildClause;
+      let areaLabel;
+      let center;
+      if (bbox) {
+        buildClause = (geoField) => buildBboxClause(geoField, bbox);
+        areaLabel = `inside bbox [${bbox.join(', ')}]`;
+        center = { lat: (bbox[1] + bbox[3]) / 2, lon: (bbox[0] + bbox[2]) / 2 };
+      } else if (polygon) {
+        buildClause = (geoField) => buildPolygonClause(geoField, polygon);
+        areaLabel = 'inside the polygon';
+        center = representativePoint(polygon);
+      } else {
+        const resolved = await resolveCommune(commune);
+        if (!resolved.geometry) {
+          throw new ToolArgumentError(`No boundary available for commune "${resolved.name}"; use query_nearby instead`);
+        }
+        buildClause = (geoField) => buildPolygonClause(geoField, resolved.geometry);
+        areaLabel = `inside commune ${resolved.name}`;
+        center = resolved.point;
+      }
+
+      const origin =
+        latitude !== undefined && longitude !== undefined ? { lat: latitude, lon: longitude } : center;
+
+      const spatialResult = await runSpatialQuery(dataset_id, buildClause, {
+        origin,
+        where,
+        select,
+        limit,
+        offset,
+      });
+
+      result = formatSpatialResult(dataset_id, areaLabel, spatialResult, { offset, output });
+      break;
+    }
+
+    case 'search_datasets': {
+      const { query, limit = 50, all_portals = false, portal_search = true } = args;
+      if (!query) {
+        throw new ToolArgumentError('query is required');
+      }
+      const options = { limit, portalSearch: portal_search };
+
+      if (!all_portals) {
+        const { total, hits, source } = await searchCatalog(query, options);
+        const how = source === 'portal' ? 'no local match, results from the portal search' : 'ranked by relevance';
+
+        const { text, shown } = formatRecords(hits, {
+          ...output,
+          summarize: summarizeDataset,
+          emptyText: '(no datasets)',
+          header: (count) => `Found ${total} datasets matching "${query}" (${how}). Showing ${count}:`,
+        });
+
+        result = {
+          content: [{ type: 'text', text }],
+          structuredContent: { total_count: total, offset: 0, next_offset: null, datasets: hits.slice(0, shown) },
+        };
+        break;
+      }
+
+      // Search every portal; one unreachable portal does not fail the others
+      const portals = listPortals();
+      const outcomes = await Promise.allSettled(
+        portals.map((portal) => withPortal(portal.name, () => searchCatalog(query, options)))
+      );
+
+      // Portal search results have no score and come after ranked ones
+      const hits = outcomes
+        .flatMap((outcome) => (outcome.status === 'fulfilled' ? outcome.value.hits : []))
+        .sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+        .slice(0, limit);
+      const total = outcomes.reduce((sum, outcome) => sum + (outcome.status === 'fulfilled' ? outcome.value.total : 0), 0);
+      const failures = outcomes
+        .map((outcome, i) => (outcome.status === 'rejected' ? `${portals[i].name} (${outcome.reason.message})` : null))
+        .filter(Boolean);
+      const counts = portals.map(
+        (portal, i) => `${portal.name}: ${outcomes[i].status === 'fulfilled' ? outcomes[i].value.total : 'error'}`
+      );
+      const note = failures.length > 0 ? `\nUnavailable portals: ${failures.join(', ')}` : '';
+
+      const { text, shown } = formatRecords(hits, {
+        ...output,
+        summarize: summarizeDataset,
+        emptyText: '(no datasets)',
+        header: (count) =>
+          `Found ${total} datasets matching "${query}" across ${portals.length} portals (${counts.join(', ')}). Showing ${count}, ranked by relevance:${note}`,
+      });
+
+      result = {
+        content: [{ type: 'text', text }],
+        structuredContent: { total_count: total, offset: 0, next_offset: null, datasets: hits.slice(0, shown) },
+      };
+      break;
+    }
+
+    case 'recent_changes': {
+      const { text, structuredContent } = await getRecentChanges(args, output);
+      result = {
+        content: [{ type: 'text', text }],
+        structuredContent,
+      };
+      break;
+    }
+
+    case 'commune_profile': {
+      if (!args.commune) {
+        throw new ToolArgumentError('commune is required');
+      }
+
+      const { text, structuredContent } = await buildCommuneProfile(args);
+      result = {
+        content: [{ type: 'text', text: limitText(text, output.maxChars) }],
+        structuredContent,
+      };
+      break;
+    }
+
+    case 'describe_dataset_schema': {
+      const { dataset_id } = args;
+      if (!dataset_id) {
+        throw new ToolArgumentError('dataset_id is required');
+      }
+
+      const { text, structuredContent } = await describeDatasetSchema(dataset_id);
+      result = {
+        content: [{ type: 'text', text: limitText(text, output.maxChars) }],
+        structuredContent,
+      };
+      break;
+    }
+
+    case 'get_facets': {
+      const { text, structuredContent } = await getFacets(args);
+      result = {
+        content: [{ type: 'text', text: limitText(text, output.maxChars) }],
+        structuredContent,
+      };
+      break;
+    }
+
+    case 'get_dataset_info': {
+      const { dataset_id } = args;
+      if (!dataset_id) {
+        throw new ToolArgumentError('dataset_id is required');
+      }
+
+      const metadata = await cachedGet('metadata', `/catalog/datasets/${dataset_id}`);
+
+      result = {
+        content: [
+          {
+            type: 'text',
+            text: limitText(`Dataset information for "${dataset_id}":\n\n${formatDatasetInfo(metadata, output.format)}`, output.maxChars, output.format),
+          },
+        ],
+        structuredContent: {
+          dataset_id: metadata.dataset_id || dataset_id,
+          metas: metadata.metas || {},
+          fields: (metadata.fields || []).map((field) => ({
+            name: field.name,
+            label: field.label ?? null,
+            type: field.type,
+            description: field.description ?? null,
+          })),
+        },
+      };
+      break;
+    }
+
+    default:
+      throw new ProtocolError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${toolName}`);
+  }
+
+  return result;
+}
+
+// Seconds between catalog polls for subscriptions and list_changed notifications (0 disables polling)
+const CATALOG_POLL_INTERVAL_MS = intFromEnv('CATALOG_POLL_INTERVAL', 300) * 1000;
+
+// Connected servers (one per session) and the resource URIs each one subscribed to
+const watchedServers = new Map();
+
+// Portals with at least one subscribed resource URI
+function subscribedPortals() {
+  const portals = new Set();
+  for (const uris of watchedServers.values()) {
+    for (const uri of uris) {
+      portals.add(parseResourceUri(uri).portal);
+    }
+  }
+  return [...portals];
+}
+
+// Run fn on the public catalog of a portal, without the client's API keys
+function withPublicPortal(portalName, fn) {
+  return runWithRequestContext({ portal: portalName, apikeys: {} }, fn);
+}
+
+// Polls the public catalogs of the subscribed portals while at least one session is connected
+const catalogWatcher = new CatalogWatcher({
+  portals: subscribedPortals,
+  loadDatasetIds: (portalName) => withPublicPortal(portalName, () => loadFullCatalog({ select: 'dataset_id' })),
+  loadChangedDatasets: (portalName, since) =>
+    withPublicPortal(portalName, () => loadFullCatalog({ where: changedSinceClause(since.getTime()) })),
+  countDatasets: (portalName) =>
+    withPublicPortal(portalName, async () => (await fetchCatalogPage(0, { select: 'dataset_id' })).total_count ?? 0),
+  intervalMs: CATALOG_POLL_INTERVAL_MS,
+});
+
+// Start notifying a connected session
+function watchServer(server) {
+  if (!watchedServers.has(server)) {
+    watchedServers.set(server, new Set());
+    catalogWatcher.start();
+  }
+  return watchedServers.get(server);
+}
+
+function unwatchServer(server) {
+  watchedServers.delete(server);
+  if (watchedServers.size === 0) {
+    catalogWatcher.stop();
+  }
+}
+
+// Does a subscribed URI depend on a dataset (datasetId) or on any dataset (datasetId null) of a portal?
+function uriDependsOn(uri, portalName, datasetId) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed || parsed.portal !== portalName) {
+    return false;
+  }
+  if (parsed.path === 'catalog') {
+    return true;
+  }
+  const datasetRequest = parseDatasetPath(parsed.path) || parseExportPath(parsed.path);
+  return datasetId !== null && datasetRequest?.datasetId === datasetId;
+}
+
+// Send resources/updated for every subscribed URI that depends on the change
+function notifySubscribers(portalName, datasetId) {
+  for (const [server, uris] of watchedServers) {
+    for (const uri of uris) {
+      if (uriDependsOn(uri, portalName, datasetId)) {
+        server.sendResourceUpdated({ uri }).catch((error) => {
+          watchLog.error('Failed to send resources/updated', { uri, error });
+        });
+      }
+    }
+  }
+}
+
+catalogWatcher.on('listChanged', ({ portal }) => {
+  // Public cached entries are stale now; client-scoped ones expire with their TTL
+  withPublicPortal(portal, () => cache.delete(catalogCacheKey()));
+  for (const server of watchedServers.keys()) {
+    server.sendResourceListChanged().catch((error) => {
+      watchLog.error('Failed to send resources/list_changed', { error });
+    });
+  }
+  notifySubscribers(portal, null);
+});
+
+catalogWatcher.on('datasetUpdated', ({ portal, datasetId }) => {
+  watchLog.info('Dataset updated', { portal, dataset_id: datasetId });
+  withPublicPortal(portal, () =>
+    Promise.all([
+      cache.delete(catalogCacheKey()),
+      cache.delete(cacheKey('metadata', `/catalog/datasets/${datasetId}`)),
+    ])
+  );
+  notifySubscribers(portal, datasetId);
+});
+
+// Prompts defined by the files of PROMPTS_DIR, loaded and validated at startup
+const PROMPTS_DIR = process.env.PROMPTS_DIR || require('path').join(__dirname, '..', 'prompts');
+const promptRegistry = loadPrompts(PROMPTS_DIR);
+for (const [name, prompt] of promptRegistry) {
+  if (prompt.datasets?.portal && !hasPortal(prompt.datasets.portal)) {
+    log.error('Skipping prompt with an unknown portal', {
+      file: prompt.file,
+      portal: prompt.datasets.portal,
+    });
+    promptRegistry.delete(name);
+  }
+}
+
+// Catalog entries whose values for a metadata field include one of the wanted values (accents and case ignored)
+function hasMetaValue(ds, field, wanted) {
+  const values = [].concat(ds.metas?.default?.[field] || []).map(foldText);
+  return [].concat(wanted).some((value) => values.includes(foldText(value)));
+}
+
+/**
+ * Run the dataset-selection rule of a prompt against the catalog.
+ * Resolves to the template variables describing the selected datasets.
+ */
+async function selectPromptDatasets(rule, variables) {
+  return withPortal(rule.portal, async () => {
+    const catalog = await getDatasetCatalog();
+    const query = rule.search ? renderTemplate(rule.search, variables) : '';
+    let datasets = query
+      ? getSearchIndex(catalog)
+          .search(query, { limit: Infinity })
+          .results.map((hit) => hit.dataset)
+      : catalog.results || [];
+
+    if (rule.theme) datasets = datasets.filter((ds) => hasMetaValue(ds, 'theme', rule.theme));
+    if (rule.keyword) datasets = datasets.filter((ds) => hasMetaValue(ds, 'keyword', rule.keyword));
+    if (rule.publisher) datasets = datasets.filter((ds) => hasMetaValue(ds, 'publisher', rule.publisher));
+
+    const selected = datasets.slice(0, rule.limit || 5).map((ds) => ({
+      dataset_id: ds.dataset_id,
+      title: ds.metas?.default?.title || ds.dataset_id,
+    }));
+    return {
+      portal: currentPortal().name,
+      datasets: selected,
+      dataset_count: datasets.length,
+      dataset_list: selected.map((ds, i) => `${i + 1}. ${ds.title} (${ds.dataset_id})`).join('\n'),
+      first_dataset: selected[0] || null,
+    };
+  });
+}
+
+let toolValidator = null;
+
+// Check the arguments of a tool call, see validation.js
+function validateToolArguments(toolName, args) {
+  if (!toolValidator) {
+    toolValidator = createToolValidator(toolDefinitions());
+  }
+  return toolValidator(toolName, args);
+}
+
+/**
+ * Definitions of the tools, as listed by tools/list
+ */
+function toolDefinitions() {
+  const portalProperty = {
+    type: 'string',
+    enum: listPortals().map((portal) => portal.name),
+    description: `Open data portal to use (default: ${DEFAULT_PORTAL}). ${listPortals()
+      .map((portal) => `${portal.name}: ${portal.title}`)
+      .join('; ')}`,
+  };
+  const budgetProperties = {
+    max_chars: {
+      type: 'integer',
+      minimum: 1,
+      description: `Maximum length of the result in characters (default: ${DEFAULT_MAX_CHARS}); whole records beyond it are left out and the next offset is suggested`,
+    },
+    max_tokens: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Same as max_chars, counted in tokens (about 4 characters each)',
+    },
+  };
+  const outputProperties = {
+    output_format: {
+      type: 'string',
+      enum: OUTPUT_FORMATS,
+      description: 'markdown: a table of records; json: compact JSON, one record per line; summary: one short line per record',
+      default: DEFAULT_FORMAT,
+    },
+    ...budgetProperties,
+  };
+  return [
+    {
+      name: 'list_datasets',
+      description: 'List all available datasets from the Haute Garonne Open Data API',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...outputProperties,
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: API_MAX_LIMIT,
+            description: 'Maximum number of datasets to return',
+            default: 100,
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            maximum: MAX_OFFSET_PLUS_LIMIT - 1,
+            description: 'Offset for pagination',
+            default: 0,
+          },
+        },
+      },
+      outputSchema: DATASETS_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'query_dataset',
+      description: 'Query records from a specific dataset with optional filters',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...outputProperties,
+          dataset_id: {
+            type: 'string',
+            description: 'The identifier of the dataset to query',
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: API_MAX_LIMIT,
+            description: 'Maximum number of records to return',
+            default: 100,
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            maximum: MAX_OFFSET_PLUS_LIMIT - 1,
+            description: 'Offset for pagination',
+            default: 0,
+          },
+          where: {
+            type: 'string',
+            description: 'Filter expression (SQL-like WHERE clause)',
+          },
+          filters: {
+            type: 'object',
+            description:
+              `Structured filter, checked against the dataset fields before querying. A leaf is {"field": "...", "op": "...", "value": ...} with op one of ${Object.keys(FILTER_OPERATORS).join(', ')} (search is full-text: it matches whole words, not substrings); combine leaves with {"and": [...]}, {"or": [...]} or {"not": {...}}. Combined with where using AND when both are given.`,
+          },
+          select: {
+            type: 'string',
+            description: 'Comma-separated list of fields to select',
+          },
+        },
+        required: ['dataset_id'],
+      },
+      outputSchema: RECORDS_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'search_datasets',
+      description:
+        'Search datasets by title, keywords, theme, publisher and description. Accents, case and French word endings are ignored; results are ranked by relevance with highlighted snippets.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...outputProperties,
+          query: {
+            type: 'string',
+            description: 'Search query to find datasets by name or keywords',
+          },
+          all_portals: {
+            type: 'boolean',
+            description: 'Search the catalogs of every portal at once (portal is then ignored); each result names its portal',
+            default: false,
+          },
+          portal_search: {
+            type: 'boolean',
+            description: "When nothing matches locally, fall back to the portal's own full-text search",
+            default: true,
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: API_MAX_LIMIT,
+            description: 'Maximum number of results to return',
+            default: 50,
+          },
+        },
+        required: ['query'],
+      },
+      outputSchema: SEARCH_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'aggregate_dataset',
+      description:
+        'Compute grouped statistics on a dataset server-side (GROUP BY with count, sum, avg, min, max). Use this instead of query_dataset for counts and totals.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...outputProperties,
+          dataset_id: {
+            type: 'string',
+            description: 'The identifier of the dataset to aggregate',
+          },
+          group_by: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Fields to group by (omit for a single overall result)',
+          },
+          metrics: {
+            type: 'array',
+            description: 'Metrics to compute for each group (default: count of records)',
+            items: {
+              type: 'object',
+              properties: {
+                function: {
+                  type: 'string',
+                  enum: AGGREGATE_FUNCTIONS,
+                  description: 'Aggregate function',
+                },
+                field: {
+                  type: 'string',
+                  description: 'Field to aggregate (not needed for count)',
+                },
+                alias: {
+                  type: 'string',
+                  description: 'Name of the result column (default: <function>_<field>, or "count")',
+                },
+              },
+              required: ['function'],
+            },
+          },
+          where: {
+            type: 'string',
+            description: 'Filter expression applied before grouping (SQL-like WHERE clause)',
+          },
+          order_by: {
+            type: 'string',
+            description: 'Sort by group_by fields or metric aliases, e.g. "count desc"',
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: AGGREGATE_MAX_LIMIT,
+            description: `Maximum number of groups to return (at most ${AGGREGATE_MAX_LIMIT} with group_by, ${API_MAX_LIMIT} without)`,
+            default: 100,
+          },
+        },
+        required: ['dataset_id'],
+        // Only grouped aggregations may go past the usual page size
+        if: { not: { required: ['group_by'] } },
+        then: {
+          properties: {
+            limit: {
+              maximum: API_MAX_LIMIT,
+              errorMessage: `must be at most ${API_MAX_LIMIT} without group_by (up to ${AGGREGATE_MAX_LIMIT} with it)`,
+            },
+          },
+        },
+      },
+      outputSchema: RECORDS_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'export_dataset',
+      description:
+        'Export a whole dataset, or a filtered slice of it, as a CSV, GeoJSON, JSON Lines or XLSX file. Small exports are embedded, larger ones are returned as a resource URI that can be read in chunks.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          dataset_id: {
+            type: 'string',
+            description: 'The identifier of the dataset to export',
+          },
+          format: {
+            type: 'string',
+            enum: Object.keys(EXPORT_FORMATS),
+            description: 'Export file format',
+            default: 'csv',
+          },
+          where: {
+            type: 'string',
+            description: 'Filter expression (SQL-like WHERE clause)',
+          },
+          select: {
+            type: 'string',
+            description: 'Comma-separated list of fields to export',
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Maximum number of records to export (default: all)',
+          },
+        },
+        required: ['dataset_id'],
+      },
+      outputSchema: EXPORT_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'query_nearby',
+      description:
+        'Find records of a dataset within a radius of a point or of a commune, sorted by distance. The geo field is detected from the dataset metadata.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...outputProperties,
+          dataset_id: {
+            type: 'string',
+            description: 'The identifier of the dataset to query',
+          },
+          latitude: {
+            type: 'number',
+            minimum: -90,
+            maximum: 90,
+            description: 'Latitude of the center point (WGS84)',
+          },
+          longitude: {
+            type: 'number',
+            minimum: -180,
+            maximum: 180,
+            description: 'Longitude of the center point (WGS84)',
+          },
+          commune: {
+            type: 'string',
+            description: 'Commune name to use as center instead of latitude/longitude, e.g. "Muret"',
+          },
+          radius_m: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'Search radius in meters',
+            default: 1000,
+          },
+          where: {
+            type: 'string',
+            description: 'Additional filter expression (SQL-like WHERE clause)',
+          },
+          select: {
+            type: 'string',
+            description: 'Comma-separated list of fields to select',
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: API_MAX_LIMIT,
+            description: 'Maximum number of records to return',
+            default: 20,
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            maximum: SPATIAL_MAX_CANDIDATES - 1,
+            description: `Offset for pagination (offset + limit at most ${SPATIAL_MAX_CANDIDATES}, the matches sorted by distance)`,
+            default: 0,
+          },
+        },
+        required: ['dataset_id'],
+      },
+      outputSchema: RECORDS_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'query_within',
+      description:
+        'Find records of a dataset inside a bounding box, a GeoJSON polygon or the boundary of a commune, sorted by distance to the area center (or to latitude/longitude when given).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...outputProperties,
+          dataset_id: {
+            type: 'string',
+            description: 'The identifier of the dataset to query',
+          },
+          bbox: {
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 4,
+            maxItems: 4,
+            description: 'Bounding box [west, south, east, north] in WGS84 degrees',
+          },
+          polygon: {
+            type: 'object',
+            description: 'GeoJSON Polygon or MultiPolygon geometry',
+          },
+          commune: {
+            type: 'string',
+            description: 'Commune name whose boundary is used as area, e.g. "Muret"',
+          },
+          latitude: {
+            type: 'number',
+            minimum: -90,
+            maximum: 90,
+            description: 'Latitude to measure distances from (default: area center)',
+          },
+          longitude: {
+            type: 'number',
+            minimum: -180,
+            maximum: 180,
+            description: 'Longitude to measure distances from (default: area center)',
+          },
+          where: {
+            type: 'string',
+            description: 'Additional filter expression (SQL-like WHERE clause)',
+          },
+          select: {
+            type: 'string',
+            description: 'Comma-separated list of fields to select',
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: API_MAX_LIMIT,
+            description: 'Maximum number of records to return',
+            default: 20,
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            maximum: SPATIAL_MAX_CANDIDATES - 1,
+            description: `Offset for pagination (offset + limit at most ${SPATIAL_MAX_CANDIDATES}, the matches sorted by distance)`,
+            default: 0,
+          },
+        },
+        required: ['dataset_id'],
+      },
+      outputSchema: RECORDS_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'describe_dataset_schema',
+      description:
+        'Describe the fields of a dataset in a compact table (name, label, type, unit, description, facetable, sortable) with sample values and the most frequent values of categorical fields. Use this before writing a query.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...budgetProperties,
+          dataset_id: {
+            type: 'string',
+            description: 'The identifier of the dataset',
+          },
+        },
+        required: ['dataset_id'],
+      },
+      outputSchema: SCHEMA_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'commune_profile',
+      description:
+        'Overview of one commune across the whole catalog: counts the records of every dataset with an INSEE code or commune field for that commune, grouped by theme, with the values of per-commune statistics and links to the source datasets.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...budgetProperties,
+          commune: {
+            type: 'string',
+            description: 'Commune name or INSEE code, e.g. "Saint-Gaudens" or "31483"',
+          },
+          theme: {
+            type: 'string',
+            description: 'Only check datasets of this theme',
+          },
+          max_datasets: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Maximum number of datasets to check',
+            default: PROFILE_DEFAULT_MAX_DATASETS,
+          },
+        },
+        required: ['commune'],
+      },
+      outputSchema: COMMUNE_PROFILE_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'recent_changes',
+      description:
+        "List datasets created, modified, or with data or metadata refreshed since a date, most recent change first, with their timestamps. Answers questions like \"what changed on the portal this month?\"",
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...outputProperties,
+          since: {
+            type: 'string',
+            description: 'ISO 8601 date or date-time, e.g. "2026-10-01"',
+          },
+          theme: {
+            type: 'string',
+            description: 'Only datasets of this theme, e.g. "Culture" (see get_facets for the themes)',
+          },
+          publisher: {
+            type: 'string',
+            description: 'Only datasets of this publisher',
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: RECENT_CHANGES_MAX_LIMIT,
+            description: `Maximum number of datasets to return (at most ${RECENT_CHANGES_MAX_LIMIT})`,
+            default: 50,
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            maximum: RECENT_CHANGES_MAX_DATASETS - 1,
+            description: `Offset for pagination (at most ${RECENT_CHANGES_MAX_DATASETS - 1})`,
+            default: 0,
+          },
+        },
+        required: ['since'],
+      },
+      outputSchema: RECENT_CHANGES_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'get_facets',
+      description:
+        'Browse value counts without downloading records. Without dataset_id: themes, publishers, keywords and licences of the catalog. With dataset_id: value counts of dataset fields, with drill-down through refine and exclude.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...budgetProperties,
+          dataset_id: {
+            type: 'string',
+            description: 'Dataset to facet (omit for catalog-level facets)',
+          },
+          facet: {
+            type: 'array',
+            items: { type: 'string' },
+            description: `Facets to compute: field names for a dataset (required), or catalog facets (default: ${CATALOG_DEFAULT_FACETS.join(', ')})`,
+          },
+          where: {
+            type: 'string',
+            description: 'Filter expression (SQL-like WHERE clause)',
+          },
+          refine: {
+            type: 'object',
+            additionalProperties: {
+              oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+            },
+            description: 'Only keep records with these facet values, e.g. {"commune": "Muret"}',
+          },
+          exclude: {
+            type: 'object',
+            additionalProperties: {
+              oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+            },
+            description: 'Leave out records with these facet values, e.g. {"theme": ["Culture"]}',
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Maximum number of values to show per facet',
+            default: 20,
+          },
+        },
+      },
+      outputSchema: FACETS_OUTPUT_SCHEMA,
+    },
+    {
+      name: 'get_dataset_info',
+      description: 'Get detailed metadata about a specific dataset',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          portal: portalProperty,
+          ...outputProperties,
+          dataset_id: {
+            type: 'string',
+            description: 'The identifier of the dataset',
+          },
+        },
+        required: ['dataset_id'],
+      },
+      outputSchema: DATASET_INFO_OUTPUT_SCHEMA,
+    },
+  ];
 }
 
 /**
@@ -69,107 +2312,29 @@ async function createMCPServer() {
     {
       capabilities: {
         tools: {},
-        resources: {},
+        resources: { subscribe: true, listChanged: true },
         prompts: {},
       },
     }
   );
 
+  // Sessions get catalog change notifications once initialized, until they close
+  server.oninitialized = () => watchServer(server);
+  server.onclose = () => unwatchServer(server);
+
   // Load SDK modules
   const schemas = await loadSDKModules();
-  
+
   // Register tools/list handler
   server.setRequestHandler(
     schemas.ListToolsRequestSchema,
     async () => {
-      console.log('[TOOL] tools/list requested');
+      toolLog.debug('tools/list requested');
+      const tools = toolDefinitions();
+
+      // outputSchema is only understood from the protocol version that added structuredContent
       return {
-        tools: [
-          {
-            name: 'list_datasets',
-            description: 'List all available datasets from the Haute Garonne Open Data API',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                limit: {
-                  type: 'number',
-                  description: 'Maximum number of datasets to return',
-                  default: 100,
-                },
-                offset: {
-                  type: 'number',
-                  description: 'Offset for pagination',
-                  default: 0,
-                },
-              },
-            },
-          },
-          {
-            name: 'query_dataset',
-            description: 'Query records from a specific dataset with optional filters',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dataset_id: {
-                  type: 'string',
-                  description: 'The identifier of the dataset to query',
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Maximum number of records to return',
-                  default: 100,
-                },
-                offset: {
-                  type: 'number',
-                  description: 'Offset for pagination',
-                  default: 0,
-                },
-                where: {
-                  type: 'string',
-                  description: 'Filter expression (SQL-like WHERE clause)',
-                },
-                select: {
-                  type: 'string',
-                  description: 'Comma-separated list of fields to select',
-                },
-              },
-              required: ['dataset_id'],
-            },
-          },
-          {
-            name: 'search_datasets',
-            description: 'Search datasets by name or keywords',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'Search query to find datasets by name or keywords',
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Maximum number of results to return',
-                  default: 50,
-                },
-              },
-              required: ['query'],
-            },
-          },
-          {
-            name: 'get_dataset_info',
-            description: 'Get detailed metadata about a specific dataset',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                dataset_id: {
-                  type: 'string',
-                  description: 'The identifier of the dataset',
-                },
-              },
-              required: ['dataset_id'],
-            },
-          },
-        ],
+        tools: supportsStructuredContent(server) ? tools : tools.map(({ outputSchema, ...tool }) => tool),
       };
     }
   );
@@ -177,197 +2342,217 @@ async function createMCPServer() {
   // Register tools/call handler
   server.setRequestHandler(
     schemas.CallToolRequestSchema,
-    async (request) => {
-      console.log(`[TOOL] Tool call requested: ${request.params.name}`);
-      console.log(`[TOOL] Tool arguments: ${JSON.stringify(request.params.arguments, null, 2)}`);
-
+    withAuthContext(async (request) => {
       const toolName = request.params.name;
-      const args = request.params.arguments || {};
-
-      try {
-        let result;
-        switch (toolName) {
-          case 'list_datasets': {
-            const limit = args.limit || 100;
-            const offset = args.offset || 0;
-            const catalog = await getDatasetCatalog();
-            const datasets = catalog.results || catalog.datasets || [];
-            const paginated = datasets.slice(offset, offset + limit);
-
-            result = {
-              content: [
-                {
-                  type: 'text',
-                  text: `Found ${datasets.length} total datasets. Showing ${paginated.length} datasets (offset: ${offset}):\n\n${JSON.stringify(paginated, null, 2)}`,
-                },
-              ],
-            };
-            break;
-          }
-
-          case 'query_dataset': {
-            const { dataset_id, limit = 100, offset = 0, where, select } = args;
-            if (!dataset_id) {
-              throw new Error('dataset_id is required');
-            }
-
-            const requestParams = {
-              limit,
-              offset,
-            };
-            if (where) requestParams.where = where;
-            if (select) requestParams.select = select;
-
-            const response = await axios.get(
-              `${API_BASE_URL}/catalog/datasets/${dataset_id}/records`,
-              { params: requestParams }
-            );
-
-            const records = response.data.results || [];
-            const totalCount = response.data.total_count || records.length;
-
-            result = {
-              content: [
-                {
-                  type: 'text',
-                  text: `Found ${totalCount} records in dataset "${dataset_id}". Showing ${records.length} records:\n\n${JSON.stringify(records, null, 2)}`,
-                },
-              ],
-            };
-            break;
-          }
+      const startedAt = Date.now();
+      toolLog.info('Tool call', { tool: toolName });
+      toolLog.debug('Tool arguments', { tool: toolName, arguments: request.params.arguments });
 
-          case 'search_datasets': {
-            const { query, limit = 50 } = args;
-            if (!query) {
-              throw new Error('query is required');
-            }
-
-            const catalog = await getDatasetCatalog();
-            const datasets = catalog.results || catalog.datasets || [];
-            const searchLower = query.toLowerCase();
-            const filtered = datasets
-              .filter((ds) => {
-                const name = (ds.metas?.default?.title || '').toLowerCase();
-                const description = (ds.metas?.default?.description || '').toLowerCase();
-                const keywords = (ds.metas?.default?.keyword || []).join(' ').toLowerCase();
-                return (
-                  name.includes(searchLower) ||
-                  description.includes(searchLower) ||
-                  keywords.includes(searchLower)
-                );
-              })
-              .slice(0, limit);
-
-            result = {
-              content: [
-                {
-                  type: 'text',
-                  text: `Found ${filtered.length} datasets matching "${query}":\n\n${JSON.stringify(filtered, null, 2)}`,
-                },
-              ],
-            };
-            break;
-          }
+      // Coerced, completed with defaults and checked against the tool's inputSchema
+      const args = validateToolArguments(toolName, request.params.arguments || {});
 
-          case 'get_dataset_info': {
-            const { dataset_id } = args;
-            if (!dataset_id) {
-              throw new Error('dataset_id is required');
-            }
-
-            const response = await axios.get(
-              `${API_BASE_URL}/catalog/datasets/${dataset_id}`
-            );
-
-            result = {
-              content: [
-                {
-                  type: 'text',
-                  text: `Dataset information for "${dataset_id}":\n\n${JSON.stringify(response.data, null, 2)}`,
-                },
-              ],
-            };
-            break;
-          }
+      try {
+        const { result, trace } = await runWithCacheTrace(() => withPortal(args.portal, () => callTool(toolName, args)));
+        if (trace.length > 0) {
+          result._meta = { ...result._meta, cache: trace };
+        }
 
-          default:
-            throw new Error(`Unknown tool: ${toolName}`);
+        if (!supportsStructuredContent(server)) {
+          delete result.structuredContent;
         }
 
-        console.log(`[TOOL] Tool ${toolName} completed successfully`);
+        toolLog.info('Tool completed', { tool: toolName, duration_ms: Date.now() - startedAt });
         return result;
       } catch (error) {
-        console.error(`[TOOL] Error in tool ${toolName}:`, error.message);
-        throw error;
+        if (error instanceof ProtocolError) {
+          throw error;
+        }
+        // Tool failures are results the model can read and act on, not protocol errors
+        const errorResult = toolErrorResult(error);
+        const category = errorResult._meta.error.category;
+        toolLog[category === 'internal' ? 'error' : 'warn']('Tool failed', {
+          tool: toolName,
+          category,
+          duration_ms: Date.now() - startedAt,
+          error,
+        });
+        return errorResult;
       }
-    }
+    })
   );
 
   // Register resources/list handler
-  server.setRequestHandler(schemas.ListResourcesRequestSchema, async () => {
-    try {
-      const catalog = await getDatasetCatalog();
-      const datasets = catalog.results || catalog.datasets || [];
+  server.setRequestHandler(schemas.ListResourcesRequestSchema, withAuthContext(async () => {
+    // One catalog resource per portal, then the datasets of every reachable portal
+    const portals = listPortals();
+    const catalogs = await Promise.allSettled(portals.map((portal) => withPortal(portal.name, getDatasetCatalog)));
+
+    const resources = [];
+    portals.forEach((portal, i) => {
+      resources.push({
+        uri: resourceUri('catalog', portal.name),
+        name: `${portal.title} Dataset Catalog`,
+        description: `Complete catalog of all available datasets on the ${portal.title} portal`,
+        mimeType: 'application/json',
+      });
+
+      if (catalogs[i].status === 'rejected') {
+        log.error('Error listing resources', { portal: portal.name, error: catalogs[i].reason });
+        return;
+      }
+      const datasets = catalogs[i].value.results || catalogs[i].value.datasets || [];
+      resources.push(
+        ...datasets.map((ds) => ({
+          uri: resourceUri(`dataset/${ds.dataset_id}`, portal.name),
+          name: stripHtml(ds.metas?.default?.title) || ds.dataset_id,
+          description: stripHtml(ds.metas?.default?.description) || 'No description available',
+          mimeType: 'application/json',
+        }))
+      );
+    });
 
-      const resources = [
+    return { resources };
+  }));
+
+  // Register resources/templates/list handler
+  server.setRequestHandler(schemas.ListResourceTemplatesRequestSchema, async () => {
+    const portals = listPortals()
+      .map((portal) => portal.name)
+      .join(', ');
+    const portalNote = `{portal} is one of ${portals}.`;
+    return {
+      resourceTemplates: [
         {
-          uri: 'haute-garonne://catalog',
+          uriTemplate: `${URI_SCHEME}{portal}/catalog`,
           name: 'Dataset Catalog',
-          description: 'Complete catalog of all available datasets',
+          description: `Complete catalog of the datasets of a portal. ${portalNote}`,
           mimeType: 'application/json',
         },
-        ...datasets.slice(0, 100).map((ds) => ({
-          uri: `haute-garonne://dataset/${ds.datasetid}`,
-          name: ds.metas?.default?.title || ds.datasetid,
-          description: ds.metas?.default?.description || 'No description available',
+        {
+          uriTemplate: `${URI_SCHEME}{portal}/dataset/{dataset_id}`,
+          name: 'Dataset metadata',
+          description: `Metadata of a dataset. ${portalNote}`,
           mimeType: 'application/json',
-        })),
-      ];
+        },
+        {
+          uriTemplate: `${URI_SCHEME}{portal}/dataset/{dataset_id}/schema`,
+          name: 'Dataset schema',
+          description: `Fields of a dataset with types, units, sample values and frequent values. ${portalNote}`,
+          mimeType: 'text/plain',
+        },
+        {
+          uriTemplate: `${URI_SCHEME}{portal}/dataset/{dataset_id}/records{?where,select,order_by,limit,offset}`,
+          name: 'Dataset records',
+          description: `A live slice of a dataset: records matching an ODSQL where clause (limit defaults to ${RECORDS_RESOURCE_DEFAULT_LIMIT}, at most ${RECORDS_RESOURCE_MAX_LIMIT}). ${portalNote}`,
+          mimeType: 'application/json',
+        },
+        {
+          uriTemplate: `${URI_SCHEME}{portal}/dataset/{dataset_id}/record/{record_id}`,
+          name: 'Dataset record',
+          description: `A single record of a dataset, by its record id. ${portalNote}`,
+          mimeType: 'application/json',
+        },
+        {
+          uriTemplate: `${URI_SCHEME}{portal}/dataset/{dataset_id}/export/{format}{?where,select,limit,chunk}`,
+          name: 'Dataset export',
+          description: `Export of a dataset as ${Object.keys(EXPORT_FORMATS).join(', ')}, whole or in chunks. ${portalNote}`,
+        },
+      ],
+    };
+  });
 
-      return { resources };
-    } catch (error) {
-      console.error('Error listing resources:', error);
-      return { resources: [] };
+  // Register resources/subscribe and resources/unsubscribe handlers
+  server.setRequestHandler(schemas.SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const parsed = parseResourceUri(uri);
+    if (!parsed || !(parsed.path === 'catalog' || parseDatasetPath(parsed.path) || parseExportPath(parsed.path))) {
+      throw new ProtocolError(RPC_ERRORS.INVALID_PARAMS, `Unknown resource URI: ${uri}`);
     }
+    // Stateless requests have no channel to send notifications on
+    if (!server.transport) {
+      watchLog.debug('Subscription ignored: no session to notify', { uri });
+      return {};
+    }
+    const newPortal = !subscribedPortals().includes(parsed.portal);
+    watchServer(server).add(uri);
+    watchLog.info('Subscribed', { uri });
+    // Load the catalog of a newly watched portal now, so that changes are reported from the next poll on
+    if (newPortal && catalogWatcher.running) {
+      catalogWatcher.poll();
+    }
+    return {};
+  });
+
+  server.setRequestHandler(schemas.UnsubscribeRequestSchema, async (request) => {
+    watchedServers.get(server)?.delete(request.params.uri);
+    return {};
   });
 
   // Register resources/read handler
-  server.setRequestHandler(schemas.ReadResourceRequestSchema, async (request) => {
+  server.setRequestHandler(schemas.ReadResourceRequestSchema, withAuthContext(async (request) => {
     const { uri } = request.params;
 
     try {
-      if (uri === 'haute-garonne://catalog') {
-        const catalog = await getDatasetCatalog();
-        return {
-          contents: [
-            {
-              uri,
-              mimeType: 'application/json',
-              text: JSON.stringify(catalog, null, 2),
-            },
-          ],
-        };
+      const parsed = parseResourceUri(uri);
+      if (!parsed) {
+        throw new ProtocolError(RPC_ERRORS.RESOURCE_NOT_FOUND, `Unknown resource URI: ${uri}`, { uri });
       }
 
-      if (uri.startsWith('haute-garonne://dataset/')) {
-        const datasetId = uri.replace('haute-garonne://dataset/', '');
-        const response = await axios.get(
-          `${API_BASE_URL}/catalog/datasets/${datasetId}`
-        );
-        return {
-          contents: [
-            {
-              uri,
-              mimeType: 'application/json',
-              text: JSON.stringify(response.data, null, 2),
-            },
-          ],
-        };
-      }
+      return await withPortal(parsed.portal, async () => {
+        const { path } = parsed;
+        if (path === 'catalog') {
+          return jsonResourceContents(uri, await getDatasetCatalog());
+        }
+
+        const exportRequest = parseExportPath(path);
+        if (exportRequest) {
+          const { datasetId, format, chunk, ...options } = exportRequest;
+          const entry = await fetchDatasetExport(datasetId, format, options);
+          return {
+            contents: [exportToResourceContents(entry, uri, chunk)],
+          };
+        }
+
+        const datasetRequest = parseDatasetPath(path);
+        if (datasetRequest) {
+          const { datasetId, kind, recordId, query } = datasetRequest;
+          const datasetPath = `/catalog/datasets/${datasetId}`;
+          switch (kind) {
+            case 'schema':
+              return {
+                contents: [
+                  {
+                    uri,
+                    mimeType: 'text/plain',
+                    text: (await describeDatasetSchema(datasetId)).text,
+                  },
+                ],
+              };
+            case 'records':
+              return jsonResourceContents(
+                uri,
+                await cachedGet('records', `${datasetPath}/records`, recordsResourceParams(query))
+              );
+            case 'record':
+              return jsonResourceContents(
+                uri,
+                await cachedGet('records', `${datasetPath}/records/${encodeURIComponent(recordId)}`)
+              );
+            default:
+              return jsonResourceContents(uri, await cachedGet('metadata', datasetPath));
+          }
+        }
 
-      throw new Error(`Unknown resource URI: ${uri}`);
+        throw new ProtocolError(RPC_ERRORS.RESOURCE_NOT_FOUND, `Unknown resource URI: ${uri}`, { uri });
+      });
     } catch (error) {
+      if (error instanceof ProtocolError) {
+        throw error;
+      }
+      const { category, message } = classifyError(error);
+      if (category === 'not_found') {
+        throw new ProtocolError(RPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${uri} (${message})`, { uri });
+      }
       return {
         contents: [
           {
@@ -379,139 +2564,39 @@ async function createMCPServer() {
         isError: true,
       };
     }
-  });
+  }));
 
   // Register prompts/list handler
   server.setRequestHandler(schemas.ListPromptsRequestSchema, async () => {
     return {
-      prompts: [
-        {
-          name: 'find_cultural_sites',
-          description: 'Find cultural sites and equipment in Haute Garonne',
-          arguments: [
-            {
-              name: 'location',
-              description: 'Optional location filter',
-              required: false,
-            },
-          ],
-        },
-        {
-          name: 'search_transportation_data',
-          description: 'Search for transportation-related datasets',
-          arguments: [
-            {
-              name: 'transport_type',
-              description: 'Type of transportation (bus, train, bike, etc.)',
-              required: false,
-            },
-          ],
-        },
-      ],
+      prompts: [...promptRegistry.values()].map(describePrompt),
     };
   });
 
   // Register prompts/get handler
-  server.setRequestHandler(schemas.GetPromptRequestSchema, async (request) => {
+  server.setRequestHandler(schemas.GetPromptRequestSchema, withAuthContext(async (request) => {
     const { name, arguments: args } = request.params;
 
+    const prompt = promptRegistry.get(name);
+    if (!prompt) {
+      throw new ProtocolError(RPC_ERRORS.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+    let variables;
     try {
-      switch (name) {
-        case 'find_cultural_sites': {
-          const location = args?.location || '';
-          const catalog = await getDatasetCatalog();
-          const datasets = catalog.results || catalog.datasets || [];
-          const culturalDatasets = datasets.filter((ds) => {
-            const title = (ds.metas?.default?.title || '').toLowerCase();
-            const desc = (ds.metas?.default?.description || '').toLowerCase();
-            return (
-              title.includes('culturel') ||
-              title.includes('culture') ||
-              desc.includes('culturel') ||
-              desc.includes('culture')
-            );
-          });
-
-          const messages = [
-            {
-              role: 'user',
-              content: {
-                type: 'text',
-                text: `Find cultural sites${location ? ` in ${location}` : ''} in Haute Garonne.`,
-              },
-            },
-          ];
-
-          if (culturalDatasets.length > 0) {
-            const datasetId = culturalDatasets[0].datasetid;
-            messages.push({
-              role: 'assistant',
-              content: {
-                type: 'text',
-                text: `I found ${culturalDatasets.length} cultural-related datasets. Let me query the most relevant one: "${culturalDatasets[0].metas?.default?.title || datasetId}".`,
-              },
-            });
-            messages.push({
-              role: 'user',
-              content: {
-                type: 'tool-call',
-                toolCallId: 'call-1',
-                name: 'query_dataset',
-                arguments: {
-                  dataset_id: datasetId,
-                  limit: 50,
-                },
-              },
-            });
-          }
-
-          return { messages };
-        }
-
-        case 'search_transportation_data': {
-          const transportType = args?.transport_type || '';
-          const catalog = await getDatasetCatalog();
-          const datasets = catalog.results || catalog.datasets || [];
-          const transportDatasets = datasets.filter((ds) => {
-            const title = (ds.metas?.default?.title || '').toLowerCase();
-            const desc = (ds.metas?.default?.description || '').toLowerCase();
-            const keywords = (ds.metas?.default?.keyword || []).join(' ').toLowerCase();
-            const searchLower = transportType ? `transport ${transportType}`.toLowerCase() : 'transport';
-            return (
-              title.includes(searchLower) ||
-              desc.includes(searchLower) ||
-              keywords.includes(searchLower) ||
-              title.includes('transport') ||
-              desc.includes('transport')
-            );
-          });
-
-          const messages = [
-            {
-              role: 'user',
-              content: {
-                type: 'text',
-                text: `Search for transportation data${transportType ? ` related to ${transportType}` : ''} in Haute Garonne.`,
-              },
-            },
-          ];
-
-          if (transportDatasets.length > 0) {
-            messages.push({
-              role: 'assistant',
-              content: {
-                type: 'text',
-                text: `I found ${transportDatasets.length} transportation-related datasets. Here are the most relevant ones:\n\n${transportDatasets.slice(0, 5).map((ds, i) => `${i + 1}. ${ds.metas?.default?.title || ds.datasetid}`).join('\n')}`,
-              },
-            });
-          }
-
-          return { messages };
-        }
+      variables = resolveArguments(prompt, args);
+    } catch (error) {
+      throw new ProtocolError(RPC_ERRORS.INVALID_PARAMS, error.message);
+    }
 
-        default:
-          throw new Error(`Unknown prompt: ${name}`);
+    try {
+      if (prompt.datasets) {
+        Object.assign(variables, await selectPromptDatasets(prompt.datasets, variables));
       }
+
+      return {
+        description: prompt.description,
+        messages: renderMessages(prompt, variables),
+      };
     } catch (error) {
       return {
         messages: [
@@ -525,37 +2610,65 @@ async function createMCPServer() {
         ],
       };
     }
-  });
+  }));
 
   // Handle errors
   server.onerror = (error) => {
-    console.error('MCP Server error:', error);
+    log.error('MCP Server error', { error });
   };
 
-  console.log('MCP Server initialized');
+  log.debug('MCP Server initialized');
   return server;
 }
 
 /**
  * Handle a JSON-RPC request directly (for stateless HTTP requests)
+ * authInfo identifies the authenticated HTTP client, when there is one.
+ * protocolVersion is the MCP-Protocol-Version header of the request; without it,
+ * the version an initialize request negotiates or else the spec's default version is used.
  */
-async function handleRequestDirectly(server, method, params) {
+async function handleRequestDirectly(server, method, params, authInfo, protocolVersion) {
+  await loadSDKModules();
+  let version = protocolVersion;
+  if (method === 'initialize') {
+    // The client's version when we support it, else our latest one
+    const requested = params?.protocolVersion;
+    version = SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION;
+  } else if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+    log.warn('Unsupported protocol version', { protocol_version: version, using: DEFAULT_NEGOTIATED_PROTOCOL_VERSION });
+    version = null;
+  }
+  try {
+    return await runWithRequestContext({ protocolVersion: version || DEFAULT_NEGOTIATED_PROTOCOL_VERSION }, () =>
+      dispatchRequest(server, method, params, authInfo)
+    );
+  } catch (error) {
+    // The SDK checks request params against its schemas before calling the handlers
+    if (['ZodError', '$ZodError'].includes(error.name) && Array.isArray(error.issues)) {
+      const issues = error.issues.map((issue) => `${issue.path.join('.') || 'params'}: ${issue.message}`);
+      throw new ProtocolError(RPC_ERRORS.INVALID_PARAMS, `Invalid params for ${method}: ${issues.join('; ')}`);
+    }
+    throw error;
+  }
+}
+
+async function dispatchRequest(server, method, params, authInfo) {
   // Handle MCP protocol methods
   if (method === 'initialize') {
     const handler = server._requestHandlers?.get('initialize');
     if (handler) {
       const result = await handler(
         { method: 'initialize', params: params || {} },
-        { signal: new AbortController().signal }
+        { signal: new AbortController().signal, authInfo }
       );
       return result;
     }
     // Fallback: return basic initialize response
     return {
-      protocolVersion: '2024-11-05',
+      protocolVersion: getRequestContext().protocolVersion,
       capabilities: {
         tools: {},
-        resources: {},
+        resources: { subscribe: true, listChanged: true },
         prompts: {},
       },
       serverInfo: {
@@ -565,15 +2678,15 @@ async function handleRequestDirectly(server, method, params) {
     };
   } else if (method === 'notifications/initialized') {
     // Notification - no response needed (return null)
-    console.log('[MCP] Received initialized notification');
+    log.debug('Received initialized notification');
     return null;
   } else if (method === 'notifications/cancelled') {
     // Notification - no response needed (return null)
-    console.log('[MCP] Received cancelled notification');
+    log.debug('Received cancelled notification');
     return null;
   } else if (method.startsWith('notifications/')) {
     // Handle any other notifications gracefully
-    console.log(`[MCP] Received notification: ${method}`);
+    log.debug('Received notification', { rpc_method: method });
     return null;
   } else if (method === 'tools/list') {
     const handler = server._requestHandlers?.get('tools/list');
@@ -581,7 +2694,7 @@ async function handleRequestDirectly(server, method, params) {
       const abortController = new AbortController();
       const result = await handler(
         { method: 'tools/list', params: params || {} },
-        { signal: abortController.signal }
+        { signal: abortController.signal, authInfo }
       );
       return result;
     }
@@ -592,7 +2705,7 @@ async function handleRequestDirectly(server, method, params) {
       const abortController = new AbortController();
       const result = await handler(
         { method: 'tools/call', params: params || {} },
-        { signal: abortController.signal }
+        { signal: abortController.signal, authInfo }
       );
       return result;
     }
@@ -603,18 +2716,40 @@ async function handleRequestDirectly(server, method, params) {
       const abortController = new AbortController();
       const result = await handler(
         { method: 'resources/list', params: params || {} },
-        { signal: abortController.signal }
+        { signal: abortController.signal, authInfo }
       );
       return result;
     }
     throw new Error('resources/list handler not found');
+  } else if (method === 'resources/templates/list') {
+    const handler = server._requestHandlers?.get('resources/templates/list');
+    if (handler) {
+      const abortController = new AbortController();
+      const result = await handler(
+        { method: 'resources/templates/list', params: params || {} },
+        { signal: abortController.signal, authInfo }
+      );
+      return result;
+    }
+    throw new Error('resources/templates/list handler not found');
+  } else if (method === 'resources/subscribe' || method === 'resources/unsubscribe') {
+    const handler = server._requestHandlers?.get(method);
+    if (handler) {
+      const abortController = new AbortController();
+      const result = await handler(
+        { method, params: params || {} },
+        { signal: abortController.signal, authInfo }
+      );
+      return result;
+    }
+    throw new Error(`${method} handler not found`);
   } else if (method === 'resources/read') {
     const handler = server._requestHandlers?.get('resources/read');
     if (handler) {
       const abortController = new AbortController();
       const result = await handler(
         { method: 'resources/read', params: params || {} },
-        { signal: abortController.signal }
+        { signal: abortController.signal, authInfo }
       );
       return result;
     }
@@ -625,7 +2760,7 @@ async function handleRequestDirectly(server, method, params) {
       const abortController = new AbortController();
       const result = await handler(
         { method: 'prompts/list', params: params || {} },
-        { signal: abortController.signal }
+        { signal: abortController.signal, authInfo }
       );
       return result;
     }
@@ -636,18 +2771,19 @@ async function handleRequestDirectly(server, method, params) {
       const abortController = new AbortController();
       const result = await handler(
         { method: 'prompts/get', params: params || {} },
-        { signal: abortController.signal }
+        { signal: abortController.signal, authInfo }
       );
       return result;
     }
     throw new Error('prompts/get handler not found');
   } else {
-    throw new Error(`Unknown method: ${method}`);
+    throw new ProtocolError(RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
   }
 }
 
 module.exports = {
   createMCPServer,
   handleRequestDirectly,
+  addCacheStore,
 };
 
@@ -0,0 +1,288 @@
+/**
+ * ODSQL helpers for the Opendatasoft Explore API v2.1
+ */
+
+const { ToolArgumentError } = require('./errors.js');
+
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+// Field types that sum() and avg() accept
+const NUMERIC_FIELD_TYPES = ['int', 'double'];
+
+// Field types that min() and max() accept
+const ORDERED_FIELD_TYPES = ['int', 'double', 'date', 'datetime'];
+
+const ALIAS_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+
+// Structured filter operators, with the field types each one accepts (null: any type)
+const FILTER_OPERATORS = {
+  eq: null,
+  ne: null,
+  lt: ORDERED_FIELD_TYPES,
+  lte: ORDERED_FIELD_TYPES,
+  gt: ORDERED_FIELD_TYPES,
+  gte: ORDERED_FIELD_TYPES,
+  between: ORDERED_FIELD_TYPES,
+  in: null,
+  // Full-text search (tokenized and stemmed words), not substring matching
+  search: ['text'],
+  starts_with: ['text'],
+  is_null: null,
+  is_not_null: null,
+};
+
+const COMPARISON_SYMBOLS = { eq: '=', ne: '!=', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+
+// Field types whose values are not comparable with literals
+const UNFILTERABLE_FIELD_TYPES = ['geo_point_2d', 'geo_shape', 'file', 'json_blob'];
+
+/**
+ * Quote a field name so ODSQL never mistakes it for a keyword or function
+ */
+function quoteIdentifier(name) {
+  return `\`${String(name).replace(/`/g, '')}\``;
+}
+
+/**
+ * Quote a value as an ODSQL string literal
+ */
+function quoteString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Format a filter value as an ODSQL literal matching the field type.
+ * Returns null and records an error when the value does not fit the type.
+ */
+function formatLiteral(field, value, path, errors) {
+  switch (field.type) {
+    case 'int':
+    case 'double':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path}: "${field.name}" is ${field.type}, expected a number but got ${JSON.stringify(value)}`);
+        return null;
+      }
+      if (field.type === 'int' && !Number.isInteger(value)) {
+        errors.push(`${path}: "${field.name}" is int, expected an integer but got ${value}`);
+        return null;
+      }
+      return String(value);
+    case 'date':
+    case 'datetime':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        errors.push(`${path}: "${field.name}" is ${field.type}, expected an ISO 8601 date but got ${JSON.stringify(value)}`);
+        return null;
+      }
+      // The normalized date, never the caller's string
+      return `date'${new Date(value).toISOString()}'`;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path}: "${field.name}" is boolean, expected true or false but got ${JSON.stringify(value)}`);
+        return null;
+      }
+      return String(value);
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push(`${path}: "${field.name}" is ${field.type}, expected a string but got ${JSON.stringify(value)}`);
+        return null;
+      }
+      return quoteString(value);
+  }
+}
+
+function compileFilterNode(node, fieldsByName, path, errors) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path}: expected an object with "and", "or", "not" or "field"`);
+    return null;
+  }
+
+  for (const combinator of ['and', 'or']) {
+    if (combinator in node) {
+      const children = node[combinator];
+      if (!Array.isArray(children) || children.length === 0) {
+        errors.push(`${path}.${combinator}: expected a non-empty array of filters`);
+        return null;
+      }
+      const compiled = children.map((child, i) => compileFilterNode(child, fieldsByName, `${path}.${combinator}[${i}]`, errors));
+      return compiled.includes(null) ? null : `(${compiled.join(` ${combinator} `)})`;
+    }
+  }
+
+  if ('not' in node) {
+    const compiled = compileFilterNode(node.not, fieldsByName, `${path}.not`, errors);
+    return compiled === null ? null : `not (${compiled})`;
+  }
+
+  const { field: fieldName, op = 'eq', value } = node;
+  const field = fieldsByName.get(fieldName);
+  if (!field) {
+    errors.push(`${path}.field: unknown field ${JSON.stringify(fieldName)}`);
+    return null;
+  }
+  if (!(op in FILTER_OPERATORS)) {
+    errors.push(`${path}.op: unsupported operator ${JSON.stringify(op)} (expected one of ${Object.keys(FILTER_OPERATORS).join(', ')})`);
+    return null;
+  }
+  const allowedTypes = FILTER_OPERATORS[op];
+  if (UNFILTERABLE_FIELD_TYPES.includes(field.type) || (allowedTypes && !allowedTypes.includes(field.type))) {
+    errors.push(`${path}.op: operator "${op}" cannot be used on "${field.name}" (${field.type})`);
+    return null;
+  }
+
+  const identifier = quoteIdentifier(field.name);
+  const valuePath = `${path}.value`;
+  switch (op) {
+    case 'is_null':
+      return `${identifier} is null`;
+    case 'is_not_null':
+      return `${identifier} is not null`;
+    case 'between': {
+      if (!Array.isArray(value) || value.length !== 2) {
+        errors.push(`${valuePath}: "between" expects [min, max]`);
+        return null;
+      }
+      const [min, max] = value.map((v, i) => formatLiteral(field, v, `${valuePath}[${i}]`, errors));
+      return min === null || max === null ? null : `(${identifier} >= ${min} and ${identifier} <= ${max})`;
+    }
+    case 'in': {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${valuePath}: "in" expects a non-empty array`);
+        return null;
+      }
+      const literals = value.map((v, i) => formatLiteral(field, v, `${valuePath}[${i}]`, errors));
+      return literals.includes(null) ? null : `(${literals.map((literal) => `${identifier} = ${literal}`).join(' or ')})`;
+    }
+    case 'search': {
+      const literal = formatLiteral(field, value, valuePath, errors);
+      return literal === null ? null : `search(${identifier}, ${literal})`;
+    }
+    case 'starts_with': {
+      const literal = formatLiteral(field, value, valuePath, errors);
+      return literal === null ? null : `startswith(${identifier}, ${literal})`;
+    }
+    default: {
+      if (value === undefined || value === null) {
+        errors.push(`${valuePath}: "${op}" requires a value (use is_null / is_not_null for nulls)`);
+        return null;
+      }
+      const literal = formatLiteral(field, value, valuePath, errors);
+      return literal === null ? null : `${identifier} ${COMPARISON_SYMBOLS[op]} ${literal}`;
+    }
+  }
+}
+
+/**
+ * Compile a structured filter tree to an ODSQL where clause.
+ * Leaves are { field, op, value }; branches are { and: [...] }, { or: [...] } or { not: {...} }.
+ * Fields and operator/value types are checked against the dataset schema;
+ * throws an Error listing every problem with its path in the tree.
+ */
+function compileFilters(fields, filters) {
+  const fieldsByName = new Map(fields.map((field) => [field.name, field]));
+  const errors = [];
+  const where = compileFilterNode(filters, fieldsByName, 'filters', errors);
+
+  if (errors.length > 0) {
+    const available = fields.map((field) => `${field.name} (${field.type})`).join(', ');
+    throw new ToolArgumentError(`Invalid filters:\n- ${errors.join('\n- ')}\nAvailable fields: ${available}`);
+  }
+  return where;
+}
+
+/**
+ * Build select, group_by and order_by parameters for an aggregation query.
+ * `fields` is the dataset schema (the `fields` array of the dataset metadata).
+ * Throws an Error listing every invalid field, function or alias.
+ */
+function buildAggregateQuery(fields, { group_by = [], metrics = [], order_by } = {}) {
+  const fieldsByName = new Map(fields.map((field) => [field.name, field]));
+  const errors = [];
+
+  const groupBy = Array.isArray(group_by) ? group_by : [group_by];
+  for (const name of groupBy) {
+    if (!fieldsByName.has(name)) {
+      errors.push(`Unknown group_by field "${name}"`);
+    }
+  }
+
+  const requestedMetrics = metrics.length > 0 ? metrics : [{ function: 'count' }];
+  const selectTerms = groupBy.map(quoteIdentifier);
+  const aliases = new Set(groupBy);
+
+  requestedMetrics.forEach((metric, i) => {
+    const fn = String(metric.function || '').toLowerCase();
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+      errors.push(`metrics[${i}]: unsupported function "${metric.function}" (expected one of ${AGGREGATE_FUNCTIONS.join(', ')})`);
+      return;
+    }
+
+    let argument = '*';
+    if (fn !== 'count' || metric.field) {
+      const field = fieldsByName.get(metric.field);
+      if (!metric.field) {
+        errors.push(`metrics[${i}]: ${fn}() requires a field`);
+        return;
+      }
+      if (!field) {
+        errors.push(`metrics[${i}]: unknown field "${metric.field}"`);
+        return;
+      }
+      if ((fn === 'sum' || fn === 'avg') && !NUMERIC_FIELD_TYPES.includes(field.type)) {
+        errors.push(`metrics[${i}]: ${fn}() needs a numeric field, "${field.name}" is ${field.type}`);
+        return;
+      }
+      if ((fn === 'min' || fn === 'max') && !ORDERED_FIELD_TYPES.includes(field.type)) {
+        errors.push(`metrics[${i}]: ${fn}() needs a numeric or date field, "${field.name}" is ${field.type}`);
+        return;
+      }
+      argument = quoteIdentifier(field.name);
+    }
+
+    const alias = metric.alias || (argument === '*' ? fn : `${fn}_${metric.field}`);
+    if (!ALIAS_PATTERN.test(alias)) {
+      errors.push(`metrics[${i}]: invalid alias "${alias}" (letters, digits and underscores only)`);
+      return;
+    }
+    if (aliases.has(alias)) {
+      errors.push(`metrics[${i}]: alias "${alias}" is already used`);
+      return;
+    }
+    aliases.add(alias);
+    selectTerms.push(`${fn}(${argument}) as ${alias}`);
+  });
+
+  // order_by may only reference grouped fields and metric aliases
+  const orderTerms = [];
+  if (order_by) {
+    for (const term of String(order_by).split(',')) {
+      const [name, direction = 'asc', ...rest] = term.trim().split(/\s+/);
+      const dir = direction.toLowerCase();
+      if (rest.length > 0 || (dir !== 'asc' && dir !== 'desc')) {
+        errors.push(`Invalid order_by term "${term.trim()}" (expected "<name> [asc|desc]")`);
+      } else if (!aliases.has(name)) {
+        errors.push(`order_by "${name}" must be a group_by field or a metric alias (${[...aliases].join(', ')})`);
+      } else {
+        orderTerms.push(`${groupBy.includes(name) ? quoteIdentifier(name) : name} ${dir}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    const available = fields.map((field) => `${field.name} (${field.type})`).join(', ');
+    throw new ToolArgumentError(`Invalid aggregation:\n- ${errors.join('\n- ')}\nAvailable fields: ${available}`);
+  }
+
+  const params = { select: selectTerms.join(', ') };
+  if (groupBy.length > 0) params.group_by = groupBy.map(quoteIdentifier).join(', ');
+  if (orderTerms.length > 0) params.order_by = orderTerms.join(', ');
+  return params;
+}
+
+module.exports = {
+  AGGREGATE_FUNCTIONS,
+  FILTER_OPERATORS,
+  quoteIdentifier,
+  quoteString,
+  buildAggregateQuery,
+  compileFilters,
+};
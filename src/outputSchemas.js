@@ -0,0 +1,264 @@
+/**
+ * JSON Schemas of the structuredContent returned by each tool, declared as
+ * outputSchema in tools/list
+ */
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+// Paging of a list result
+const PAGE_PROPERTIES = {
+  total_count: { type: 'integer', description: 'Number of matching items' },
+  offset: { type: 'integer', description: 'Offset of the first returned item' },
+  next_offset: {
+    type: ['integer', 'null'],
+    description: 'Offset to request for the next items, null when there are none',
+  },
+};
+const PAGE_REQUIRED = ['total_count', 'offset', 'next_offset'];
+
+/**
+ * Records of a dataset (query_dataset, query_nearby, query_within, aggregate_dataset)
+ */
+const RECORDS_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    portal: { type: 'string' },
+    dataset_id: { type: 'string' },
+    ...PAGE_PROPERTIES,
+    records: {
+      type: 'array',
+      items: { type: 'object' },
+      description: 'Records as returned by the portal; spatial queries add _distance_m, in meters',
+    },
+  },
+  required: ['portal', 'dataset_id', ...PAGE_REQUIRED, 'records'],
+};
+
+const DATASET_SUMMARY_PROPERTIES = {
+  portal: { type: 'string' },
+  dataset_id: { type: 'string' },
+  title: { type: 'string' },
+  theme: STRING_LIST,
+  publisher: { type: ['string', 'null'] },
+  keywords: STRING_LIST,
+  records_count: { type: ['integer', 'null'] },
+  modified: { type: ['string', 'null'] },
+  description: { type: 'string' },
+};
+
+// List of dataset summaries with the given extra item properties
+function datasetsOutputSchema(extraProperties = {}) {
+  return {
+    type: 'object',
+    properties: {
+      ...PAGE_PROPERTIES,
+      datasets: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { ...DATASET_SUMMARY_PROPERTIES, ...extraProperties },
+          required: ['portal', 'dataset_id', 'title'],
+        },
+      },
+    },
+    required: [...PAGE_REQUIRED, 'datasets'],
+  };
+}
+
+/**
+ * Dataset summaries (list_datasets)
+ */
+const DATASETS_OUTPUT_SCHEMA = datasetsOutputSchema();
+
+/**
+ * Ranked dataset summaries with highlighted snippets (search_datasets)
+ */
+const SEARCH_OUTPUT_SCHEMA = datasetsOutputSchema({
+  score: { type: ['number', 'null'], description: 'Relevance, null for results of the portal search' },
+  snippet: { type: 'string', description: 'Description excerpt, matches marked with **' },
+});
+
+/**
+ * Changed datasets (recent_changes)
+ */
+const RECENT_CHANGES_OUTPUT_SCHEMA = datasetsOutputSchema({
+  changes: { type: 'array', items: { type: 'string', enum: ['created', 'data', 'metadata', 'modified'] } },
+  created: { type: ['string', 'null'] },
+  data_processed: { type: ['string', 'null'] },
+  metadata_processed: { type: ['string', 'null'] },
+  latest_change: { type: ['string', 'null'], description: 'Latest of created, modified, data_processed and metadata_processed' },
+});
+
+/**
+ * Export of a dataset (export_dataset)
+ */
+const EXPORT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    dataset_id: { type: 'string' },
+    format: { type: 'string' },
+    mime_type: { type: 'string' },
+    size: { type: 'integer', description: 'Size in bytes' },
+    uri: { type: 'string', description: 'Resource URI of the export' },
+    embedded: { type: 'boolean', description: 'Whether the export is embedded in the result' },
+    chunk_count: { type: 'integer' },
+  },
+  required: ['dataset_id', 'format', 'size', 'uri', 'embedded'],
+};
+
+/**
+ * Fields of a dataset (describe_dataset_schema)
+ */
+const SCHEMA_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    dataset_id: { type: 'string' },
+    title: { type: 'string' },
+    records_count: { type: ['integer', 'null'] },
+    fields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          label: { type: 'string' },
+          type: { type: 'string' },
+          unit: { type: 'string' },
+          facetable: { type: 'boolean' },
+          sortable: { type: 'boolean' },
+          description: { type: 'string' },
+          samples: STRING_LIST,
+        },
+        required: ['name', 'type'],
+      },
+    },
+  },
+  required: ['dataset_id', 'fields'],
+};
+
+/**
+ * Facet value counts (get_facets)
+ */
+const FACETS_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    dataset_id: { type: ['string', 'null'], description: 'null for catalog facets' },
+    facets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          value_count: { type: 'integer', description: 'Number of distinct values, including those left out' },
+          values: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { name: { type: 'string' }, count: { type: 'integer' } },
+              required: ['name', 'count'],
+            },
+          },
+        },
+        required: ['name', 'value_count', 'values'],
+      },
+    },
+  },
+  required: ['dataset_id', 'facets'],
+};
+
+/**
+ * Commune overview (commune_profile)
+ */
+const COMMUNE_PROFILE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    commune: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        insee: { type: ['string', 'null'] },
+        location: {
+          type: ['object', 'null'],
+          properties: { lat: { type: 'number' }, lon: { type: 'number' } },
+        },
+      },
+      required: ['name'],
+    },
+    portal: { type: 'string' },
+    datasets_checked: { type: 'integer' },
+    datasets_with_records: { type: 'integer' },
+    themes: {
+      type: 'object',
+      description: 'Datasets with records for the commune, by theme',
+      additionalProperties: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            dataset_id: { type: 'string' },
+            title: { type: 'string' },
+            records: { type: 'integer' },
+            matched_on: { type: 'string' },
+            uri: { type: 'string' },
+            url: { type: 'string' },
+            values: { type: 'object', description: 'Values of the single record, for per-commune statistics' },
+          },
+          required: ['dataset_id', 'title', 'records', 'uri', 'url'],
+        },
+      },
+    },
+    failed: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { dataset_id: { type: 'string' }, error: { type: 'string' } },
+      },
+    },
+  },
+  required: ['commune', 'portal', 'datasets_checked', 'datasets_with_records', 'themes'],
+};
+
+/**
+ * Metadata of a dataset (get_dataset_info): its metadata templates as returned
+ * by the portal (default, dcat...), and its fields
+ */
+const DATASET_INFO_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    dataset_id: { type: 'string' },
+    metas: {
+      type: 'object',
+      description: 'Metadata by template; default holds title, description, theme, publisher, modified...',
+      properties: { default: { type: 'object' } },
+      additionalProperties: { type: 'object' },
+    },
+    fields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          label: { type: ['string', 'null'] },
+          type: { type: 'string' },
+          description: { type: ['string', 'null'] },
+        },
+        required: ['name', 'type'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['dataset_id', 'metas', 'fields'],
+  additionalProperties: false,
+};
+
+module.exports = {
+  RECORDS_OUTPUT_SCHEMA,
+  DATASETS_OUTPUT_SCHEMA,
+  SEARCH_OUTPUT_SCHEMA,
+  RECENT_CHANGES_OUTPUT_SCHEMA,
+  EXPORT_OUTPUT_SCHEMA,
+  SCHEMA_OUTPUT_SCHEMA,
+  FACETS_OUTPUT_SCHEMA,
+  COMMUNE_PROFILE_OUTPUT_SCHEMA,
+  DATASET_INFO_OUTPUT_SCHEMA,
+};
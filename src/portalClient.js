@@ -0,0 +1,273 @@
+/**
+ * Upstream client for the Opendatasoft portal
+ *
+ * Every portal request goes through PortalClient.get(), which adds a
+ * per-request timeout, retries with jittered exponential backoff, honours
+ * Retry-After and the X-RateLimit-* headers, and fails fast through a
+ * circuit breaker while the portal is down.
+ */
+
+const axios = require('axios');
+const { getRequestContext } = require('./requestContext.js');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('portal');
+
+// Statuses worth retrying: rate limited or temporarily unavailable
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network errors worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'ERR_NETWORK'];
+
+// Network errors that count as a portal failure for the circuit breaker, retried or not
+const NETWORK_FAILURE_CODES = [...RETRYABLE_ERROR_CODES, 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * Raised without calling the portal while the circuit breaker is open,
+ * or when a rate limit would make the caller wait too long
+ */
+class PortalUnavailableError extends Error {
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'PortalUnavailableError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Parse Retry-After (delta seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class PortalClient {
+  constructor({
+    name = null,
+    baseUrl,
+    timeoutMs = 15000,
+    maxRetries = 3,
+    retryBaseDelayMs = 300,
+    retryMaxDelayMs = 10000,
+    maxWaitMs = 30000,
+    breakerThreshold = 5,
+    breakerCooldownMs = 30000,
+  }) {
+    this.name = name;
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.retryMaxDelayMs = retryMaxDelayMs;
+    this.maxWaitMs = maxWaitMs;
+    this.breakerThreshold = breakerThreshold;
+    this.breakerCooldownMs = breakerCooldownMs;
+
+    this.http = axios.create({ baseURL: baseUrl, timeout: timeoutMs });
+
+    // Circuit breaker state; probeInFlight is set while the trial request of the half-open circuit runs
+    this.consecutiveFailures = 0;
+    this.circuitOpenUntil = 0;
+    this.probeInFlight = false;
+
+    // Set when the portal reports an exhausted rate limit
+    this.rateLimitedUntil = 0;
+  }
+
+  /**
+   * Full-jitter exponential backoff for the given attempt (0-based)
+   */
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Fail fast while the circuit is open. Once the cooldown is over the circuit
+   * is half-open: one request goes through as a trial, the others keep failing
+   * fast until it settles. Returns true when the caller is that trial.
+   */
+  checkCircuit() {
+    const now = Date.now();
+    if (this.circuitOpenUntil > now) {
+      const retryIn = this.circuitOpenUntil - now;
+      throw new PortalUnavailableError(
+        `The data portal at ${this.baseUrl} is currently unavailable after ${this.consecutiveFailures} consecutive failures. Retry in ${Math.ceil(retryIn / 1000)}s.`,
+        retryIn
+      );
+    }
+    if (this.circuitOpenUntil === 0) {
+      return false;
+    }
+    if (this.probeInFlight) {
+      throw new PortalUnavailableError(
+        `The data portal at ${this.baseUrl} is currently unavailable, a trial request is checking whether it is back. Retry in a few seconds.`,
+        this.retryBaseDelayMs
+      );
+    }
+    this.probeInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.consecutiveFailures > 0 || this.circuitOpenUntil > 0) {
+      log.info('Portal reachable again, circuit closed', { portal: this.name });
+    }
+    this.consecutiveFailures = 0;
+    this.circuitOpenUntil = 0;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.breakerThreshold > 0 && this.consecutiveFailures >= this.breakerThreshold) {
+      // Half-open after the cooldown: checkCircuit() lets a single trial request through
+      this.circuitOpenUntil = Date.now() + this.breakerCooldownMs;
+      log.error('Circuit opened', {
+        portal: this.name,
+        cooldown_ms: this.breakerCooldownMs,
+        consecutive_failures: this.consecutiveFailures,
+      });
+    }
+  }
+
+  // Remember an exhausted quota from the X-RateLimit-* headers
+  trackRateLimit(headers = {}) {
+    const remaining = headers['x-ratelimit-remaining'];
+    const reset = headers['x-ratelimit-reset'];
+    if (remaining !== undefined && Number(remaining) <= 0 && reset !== undefined) {
+      const resetValue = Number(reset);
+      // Either epoch seconds or seconds until reset
+      const resetAt = resetValue > 1e9 ? resetValue * 1000 : Date.now() + resetValue * 1000;
+      this.rateLimitedUntil = Math.max(this.rateLimitedUntil, resetAt);
+    }
+  }
+
+  async waitForRateLimit() {
+    const wait = this.rateLimitedUntil - Date.now();
+    if (wait <= 0) {
+      return;
+    }
+    if (wait > this.maxWaitMs) {
+      throw new PortalUnavailableError(
+        `The data portal rate limit is exhausted. Retry in ${Math.ceil(wait / 1000)}s.`,
+        wait
+      );
+    }
+    log.warn('Rate limit exhausted, waiting', { portal: this.name, wait_ms: wait });
+    await sleep(wait);
+  }
+
+  isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUSES.includes(error.response.status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * GET a path relative to the portal base URL.
+   * options are passed to axios (params, headers, responseType, maxContentLength,
+   * validateStatus), plus timeoutMs to override the default timeout.
+   * The API key the authenticated client has for this portal, if any, is forwarded,
+   * and so is the request ID as X-Request-Id.
+   */
+  async get(path, options = {}) {
+    const isProbe = this.checkCircuit();
+    try {
+      return await this.request(path, options);
+    } finally {
+      if (isProbe) this.probeInFlight = false;
+    }
+  }
+
+  // One GET with its retries, once the circuit breaker let it through
+  async request(path, { timeoutMs, ...options }) {
+    const { apikeys, requestId } = getRequestContext();
+    const apikey = apikeys?.[this.name];
+    if (apikey) {
+      options.headers = { ...options.headers, Authorization: `Apikey ${apikey}` };
+    }
+    if (requestId) {
+      options.headers = { ...options.headers, 'X-Request-Id': requestId };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit();
+
+      const startedAt = Date.now();
+      try {
+        const response = await this.http.get(path, { ...options, timeout: timeoutMs || this.timeoutMs });
+        log.debug('Upstream request', {
+          portal: this.name,
+          path,
+          params: options.params,
+          status: response.status,
+          duration_ms: Date.now() - startedAt,
+        });
+        this.trackRateLimit(response.headers);
+        this.recordSuccess();
+        return response;
+      } catch (error) {
+        this.trackRateLimit(error.response?.headers);
+
+        if (!this.isRetryable(error)) {
+          if (error.response) {
+            // The portal answered: it is up, the request itself was wrong
+            this.recordSuccess();
+          } else if (NETWORK_FAILURE_CODES.includes(error.code)) {
+            // Unreachable (e.g. DNS failure): the portal is down even though retrying is pointless
+            this.recordFailure();
+          }
+          throw error;
+        }
+
+        const status = error.response?.status;
+        if (status !== 429) {
+          this.recordFailure();
+        }
+
+        if (attempt >= this.maxRetries || this.circuitOpenUntil > Date.now()) {
+          if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            error.message = `Request to the data portal timed out after ${timeoutMs || this.timeoutMs}ms (${path})`;
+          }
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        const delay = retryAfter !== null ? retryAfter : this.backoffDelay(attempt);
+        if (delay > this.maxWaitMs) {
+          throw new PortalUnavailableError(
+            `The data portal asked to retry in ${Math.ceil(delay / 1000)}s (HTTP ${status}).`,
+            delay
+          );
+        }
+
+        log.warn('Upstream request failed, retrying', {
+          portal: this.name,
+          path,
+          status: status || error.code,
+          retry: attempt + 1,
+          max_retries: this.maxRetries,
+          delay_ms: delay,
+        });
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = {
+  PortalClient,
+  PortalUnavailableError,
+  parseRetryAfter,
+};
@@ -0,0 +1,118 @@
+/**
+ * Registry of the Opendatasoft portals the server can query
+ *
+ * PORTALS (inline JSON) or PORTALS_FILE (path to a JSON file) map each portal
+ * name to its Explore v2.1 base URL, or to { "url": "...", "title": "...",
+ * "communes_dataset": "..." }. Configured portals replace the built-in ones.
+ * API_BASE_URL still overrides the URL of the haute-garonne portal.
+ */
+
+const fs = require('fs');
+const { PortalClient } = require('./portalClient.js');
+const { intFromEnv } = require('./env.js');
+const { ToolArgumentError } = require('./errors.js');
+
+const BUILTIN_PORTALS = {
+  'haute-garonne': {
+    title: 'Haute-Garonne',
+    url: process.env.API_BASE_URL || 'https://data.haute-garonne.fr/api/explore/v2.1',
+    communes_dataset: process.env.COMMUNES_DATASET_ID || null,
+  },
+  'toulouse-metropole': {
+    title: 'Toulouse Métropole',
+    url: 'https://data.toulouse-metropole.fr/api/explore/v2.1',
+  },
+  occitanie: {
+    title: 'Région Occitanie',
+    url: 'https://data.laregion.fr/api/explore/v2.1',
+  },
+};
+
+const PORTAL_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// First segments of resource paths, which would make haute-garonne://{portal}/... URIs ambiguous
+const RESERVED_NAMES = ['catalog', 'dataset'];
+
+function parsePortals(raw, source) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Build the registry: one PortalClient (and so one circuit breaker) per portal
+ */
+function loadPortals() {
+  let configs = BUILTIN_PORTALS;
+  if (process.env.PORTALS_FILE) {
+    configs = parsePortals(fs.readFileSync(process.env.PORTALS_FILE, 'utf-8'), process.env.PORTALS_FILE);
+  } else if (process.env.PORTALS) {
+    configs = parsePortals(process.env.PORTALS, 'PORTALS');
+  }
+
+  const portals = new Map();
+  for (const [name, value] of Object.entries(configs)) {
+    const config = typeof value === 'string' ? { url: value } : value || {};
+    if (!PORTAL_NAME_PATTERN.test(name) || RESERVED_NAMES.includes(name)) {
+      throw new Error(`Invalid portal name "${name}" (lowercase letters, digits and dashes only, not ${RESERVED_NAMES.join(' or ')})`);
+    }
+    if (!config.url) {
+      throw new Error(`Portal "${name}" has no url`);
+    }
+    const baseUrl = config.url.replace(/\/+$/, '');
+    portals.set(name, {
+      name,
+      title: config.title || name,
+      baseUrl,
+      communesDatasetId: config.communes_dataset || null,
+      client: new PortalClient({
+        name,
+        baseUrl,
+        timeoutMs: intFromEnv('UPSTREAM_TIMEOUT_MS', 15000),
+        maxRetries: intFromEnv('UPSTREAM_MAX_RETRIES', 3),
+        breakerThreshold: intFromEnv('UPSTREAM_BREAKER_THRESHOLD', 5),
+        breakerCooldownMs: intFromEnv('UPSTREAM_BREAKER_COOLDOWN_MS', 30000),
+      }),
+    });
+  }
+  if (portals.size === 0) {
+    throw new Error('No portal configured');
+  }
+  return portals;
+}
+
+const portals = loadPortals();
+
+// Portal used when a request does not name one
+const DEFAULT_PORTAL = process.env.DEFAULT_PORTAL || (portals.has('haute-garonne') ? 'haute-garonne' : portals.keys().next().value);
+if (!portals.has(DEFAULT_PORTAL)) {
+  throw new Error(`DEFAULT_PORTAL "${DEFAULT_PORTAL}" is not a configured portal (${[...portals.keys()].join(', ')})`);
+}
+
+/**
+ * Look up a portal by name (the default portal when name is empty)
+ */
+function getPortal(name) {
+  const portal = portals.get(name || DEFAULT_PORTAL);
+  if (!portal) {
+    throw new ToolArgumentError(`Unknown portal "${name}" (expected one of ${[...portals.keys()].join(', ')})`);
+  }
+  return portal;
+}
+
+function listPortals() {
+  return [...portals.values()];
+}
+
+function hasPortal(name) {
+  return portals.has(name);
+}
+
+module.exports = {
+  DEFAULT_PORTAL,
+  getPortal,
+  listPortals,
+  hasPortal,
+};
@@ -0,0 +1,279 @@
+/**
+ * Declarative prompt registry
+ *
+ * Each .json, .yaml or .yml file in the prompts directory defines one prompt:
+ *
+ *   name: find_cultural_sites
+ *   description: Find cultural sites and equipment
+ *   arguments:
+ *     - { name: location, description: Town or area, type: string, required: false }
+ *   datasets:                  # optional dataset-selection rule, run against the catalog
+ *     search: culture {{location}}
+ *     theme: Culture
+ *     limit: 5
+ *   messages:
+ *     - role: user
+ *       text: Find cultural sites{{#location}} in {{location}}{{/location}}.
+ *     - role: assistant
+ *       when: datasets
+ *       text: The most relevant dataset is "{{first_dataset.title}}".
+ *
+ * Templates use {{name}} substitutions and {{#name}}…{{/name}} / {{^name}}…{{/name}}
+ * sections, shown when the value is set (resp. not set).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('prompts');
+
+const PROMPT_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const ARGUMENT_TYPES = ['string', 'number', 'integer', 'boolean'];
+const MESSAGE_ROLES = ['user', 'assistant'];
+const PROMPT_KEYS = ['name', 'description', 'arguments', 'datasets', 'messages'];
+const RULE_KEYS = ['search', 'theme', 'keyword', 'publisher', 'portal', 'limit'];
+
+// Template variables available when the prompt has a dataset-selection rule
+const DATASET_VARIABLES = ['datasets', 'dataset_count', 'dataset_list', 'first_dataset', 'portal'];
+
+const TEMPLATE_REFERENCE = /\{\{[#^/]?([a-z_][a-z0-9_]*)(?:\.[a-z_][a-z0-9_]*)*\}\}/gi;
+
+function lookup(variables, name) {
+  return name.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), variables);
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false && !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Render a message template with the given variables
+ */
+function renderTemplate(template, variables) {
+  return template
+    .replace(/\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, name, inner) =>
+      isSet(lookup(variables, name)) === (kind === '#') ? renderTemplate(inner, variables) : ''
+    )
+    .replace(/\{\{([\w.]+)\}\}/g, (match, name) => {
+      const value = lookup(variables, name);
+      return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// Root variable names referenced by a template
+function templateReferences(template) {
+  return [...template.matchAll(TEMPLATE_REFERENCE)].map((match) => match[1]);
+}
+
+/**
+ * Check a parsed prompt definition; returns the list of problems (empty when valid)
+ */
+function validatePrompt(prompt) {
+  const errors = [];
+  if (!prompt || typeof prompt !== 'object' || Array.isArray(prompt)) {
+    return ['expected an object'];
+  }
+
+  for (const key of Object.keys(prompt)) {
+    if (!PROMPT_KEYS.includes(key)) errors.push(`unknown key "${key}"`);
+  }
+  if (typeof prompt.name !== 'string' || !PROMPT_NAME_PATTERN.test(prompt.name)) {
+    errors.push('name must be lowercase letters, digits and underscores');
+  }
+  if (typeof prompt.description !== 'string' || !prompt.description.trim()) {
+    errors.push('description is required');
+  }
+
+  const argumentNames = [];
+  if (prompt.arguments !== undefined && !Array.isArray(prompt.arguments)) {
+    errors.push('arguments must be a list');
+  }
+  (Array.isArray(prompt.arguments) ? prompt.arguments : []).forEach((argument, i) => {
+    if (!argument || typeof argument.name !== 'string' || !/^[a-z_][a-z0-9_]*$/i.test(argument.name)) {
+      errors.push(`arguments[${i}].name must be an identifier`);
+      return;
+    }
+    if (argumentNames.includes(argument.name)) errors.push(`arguments[${i}]: duplicate argument "${argument.name}"`);
+    argumentNames.push(argument.name);
+    if (argument.type !== undefined && !ARGUMENT_TYPES.includes(argument.type)) {
+      errors.push(`arguments[${i}].type must be one of ${ARGUMENT_TYPES.join(', ')}`);
+    }
+    if (argument.enum !== undefined && (!Array.isArray(argument.enum) || argument.enum.length === 0)) {
+      errors.push(`arguments[${i}].enum must be a non-empty list`);
+    }
+  });
+
+  const rule = prompt.datasets;
+  if (rule !== undefined) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push('datasets must be an object');
+    } else {
+      for (const key of Object.keys(rule)) {
+        if (!RULE_KEYS.includes(key)) errors.push(`datasets: unknown key "${key}"`);
+      }
+      if (rule.limit !== undefined && !(Number.isInteger(rule.limit) && rule.limit > 0)) {
+        errors.push('datasets.limit must be a positive integer');
+      }
+      if (!rule.search && !rule.theme && !rule.keyword && !rule.publisher) {
+        errors.push('datasets needs at least one of search, theme, keyword or publisher');
+      }
+    }
+  }
+
+  const known = [...argumentNames, ...(rule ? DATASET_VARIABLES : [])];
+  const checkTemplate = (template, where) => {
+    for (const name of templateReferences(template)) {
+      if (!known.includes(name)) errors.push(`${where}: unknown variable "${name}"`);
+    }
+  };
+  if (rule && typeof rule.search === 'string') {
+    checkTemplate(rule.search, 'datasets.search');
+  }
+
+  if (!Array.isArray(prompt.messages) || prompt.messages.length === 0) {
+    errors.push('messages must be a non-empty list');
+  } else {
+    prompt.messages.forEach((message, i) => {
+      if (!message || !MESSAGE_ROLES.includes(message.role)) {
+        errors.push(`messages[${i}].role must be one of ${MESSAGE_ROLES.join(', ')}`);
+      }
+      if (!message || typeof message.text !== 'string') {
+        errors.push(`messages[${i}].text is required`);
+        return;
+      }
+      checkTemplate(message.text, `messages[${i}].text`);
+      if (message.when !== undefined && !known.includes(String(message.when).split('.')[0])) {
+        errors.push(`messages[${i}].when: unknown variable "${message.when}"`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate every prompt file of a directory.
+ * Invalid files are logged and skipped. Returns a Map of prompts by name.
+ */
+function loadPrompts(directory) {
+  const prompts = new Map();
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter((file) => /\.(json|ya?ml)$/i.test(file)).sort();
+  } catch (error) {
+    log.warn('Cannot read prompts directory', { directory, error });
+    return prompts;
+  }
+
+  for (const file of files) {
+    const filePath = path.join(directory, file);
+    let prompt;
+    try {
+      const raw = fs.readFileSync(filePath, 'utf-8');
+      prompt = /\.json$/i.test(file) ? JSON.parse(raw) : YAML.parse(raw);
+    } catch (error) {
+      log.error('Skipping unreadable prompt file', { file, error });
+      continue;
+    }
+
+    const errors = validatePrompt(prompt);
+    if (prompt?.name && prompts.has(prompt.name)) {
+      errors.push(`prompt "${prompt.name}" is already defined`);
+    }
+    if (errors.length > 0) {
+      log.error('Skipping invalid prompt', { file, errors });
+      continue;
+    }
+    prompts.set(prompt.name, { ...prompt, arguments: prompt.arguments || [], file });
+  }
+
+  log.info('Prompts loaded', { count: prompts.size, directory });
+  return prompts;
+}
+
+/**
+ * Check and convert prompt arguments (always strings in MCP) to their declared types
+ */
+function resolveArguments(prompt, args = {}) {
+  const errors = [];
+  const values = {};
+  for (const argument of prompt.arguments) {
+    const raw = args[argument.name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (argument.required) errors.push(`argument "${argument.name}" is required`);
+      values[argument.name] = argument.default ?? null;
+      continue;
+    }
+
+    let value = raw;
+    const type = argument.type || 'string';
+    if (type === 'number' || type === 'integer') {
+      value = Number(raw);
+      if (!Number.isFinite(value) || (type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`argument "${argument.name}" must be ${type === 'integer' ? 'an integer' : 'a number'}`);
+        continue;
+      }
+    } else if (type === 'boolean') {
+      if (!['true', 'false', true, false].includes(raw)) {
+        errors.push(`argument "${argument.name}" must be true or false`);
+        continue;
+      }
+      value = raw === true || raw === 'true';
+    } else {
+      value = String(raw);
+    }
+
+    if (argument.enum && !argument.enum.map(String).includes(String(value))) {
+      errors.push(`argument "${argument.name}" must be one of ${argument.enum.join(', ')}`);
+      continue;
+    }
+    values[argument.name] = value;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid arguments for prompt "${prompt.name}": ${errors.join('; ')}`);
+  }
+  return values;
+}
+
+/**
+ * prompts/list entry of a prompt
+ */
+function describePrompt(prompt) {
+  return {
+    name: prompt.name,
+    description: prompt.description,
+    arguments: prompt.arguments.map((argument) => ({
+      name: argument.name,
+      description: [argument.description, argument.enum ? `One of: ${argument.enum.join(', ')}` : null]
+        .filter(Boolean)
+        .join('. '),
+      required: Boolean(argument.required),
+    })),
+  };
+}
+
+/**
+ * Messages of a prompt rendered with its variables; messages with an unset `when` are left out
+ */
+function renderMessages(prompt, variables) {
+  return prompt.messages
+    .filter((message) => message.when === undefined || isSet(lookup(variables, String(message.when))))
+    .map((message) => ({
+      role: message.role,
+      content: {
+        type: 'text',
+        text: renderTemplate(message.text, variables).trim(),
+      },
+    }));
+}
+
+module.exports = {
+  loadPrompts,
+  resolveArguments,
+  describePrompt,
+  renderTemplate,
+  renderMessages,
+};
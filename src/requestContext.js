@@ -0,0 +1,28 @@
+/**
+ * Per-request context (authenticated client, upstream API keys, portal) carried
+ * through async calls, so deep helpers like the portal client can read it
+ * without threading it through every function.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const requestContextStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given context, merged over the current one
+ */
+function runWithRequestContext(context, fn) {
+  return requestContextStorage.run({ ...requestContextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Current request context, or an empty object outside of a request
+ */
+function getRequestContext() {
+  return requestContextStorage.getStore() || {};
+}
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext,
+};
@@ -0,0 +1,221 @@
+/**
+ * In-process full-text search over a dataset catalog
+ *
+ * Text is folded (case, accents), French stopwords are dropped and words are
+ * reduced with a light French stemmer, so "équipements culturels" matches
+ * "Equipement culturel". Datasets are ranked with BM25F over weighted fields.
+ */
+
+// Field weights: title above keywords above description
+const SEARCH_FIELDS = {
+  title: 3,
+  keywords: 2,
+  theme: 1.5,
+  publisher: 1.5,
+  description: 1,
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Query words shorter than this are not expanded to the vocabulary words they start
+const PREFIX_MIN_LENGTH = 4;
+
+const SNIPPET_LENGTH = 160;
+
+const STOPWORDS = new Set(
+  (
+    'a au aux avec ce ces cet cette dans de des du elle en et eux il ils je la le les leur leurs lui ' +
+    'ma mais me meme mes moi mon ne nos notre nous on ou par pas pour qu que qui sa se ses son sur ' +
+    'ta te tes toi ton tu un une vos votre vous c d j l m n s t y ete etre est sont ont avoir fait ' +
+    'comme plus sans sous entre vers chez dont ainsi tout tous toute toutes autre autres'
+  ).split(' ')
+);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase and strip accents
+ */
+function foldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Derivational suffixes, longest first, removed when a stem of 3+ letters remains
+const SUFFIXES = [
+  'issements', 'issement', 'atrices', 'atrice', 'ateurs', 'ateur', 'ations', 'ation',
+  'ements', 'ement', 'ances', 'ance', 'ences', 'ence', 'iques', 'ique', 'euses', 'euse',
+  'elles', 'elle', 'ites', 'ite', 'eux', 'ives', 'ive', 'ifs', 'if', 'els', 'el', 'es', 'e',
+];
+
+/**
+ * Light French stemmer on a folded word: plural, then the longest derivational suffix
+ */
+function stem(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) {
+    return word;
+  }
+  let stemmed = word;
+  if (stemmed.endsWith('aux') && stemmed.length > 4) {
+    stemmed = `${stemmed.slice(0, -3)}al`;
+  } else if (/[sx]$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  for (const suffix of SUFFIXES) {
+    if (stemmed.endsWith(suffix) && stemmed.length - suffix.length >= 3) {
+      return stemmed.slice(0, -suffix.length);
+    }
+  }
+  return stemmed;
+}
+
+/**
+ * Terms of a text: folded, stopwords removed, stemmed
+ */
+function tokenize(text) {
+  return (foldText(text).match(WORD_PATTERN) || []).filter((word) => !STOPWORDS.has(word)).map(stem);
+}
+
+// Searchable text of each field of a catalog entry
+function datasetFields(ds) {
+  const metas = ds.metas?.default || {};
+  return {
+    title: metas.title || ds.dataset_id || '',
+    keywords: [].concat(metas.keyword || []).join(' '),
+    theme: [].concat(metas.theme || []).join(' '),
+    publisher: [].concat(metas.publisher || []).join(' '),
+    description: String(metas.description || '').replace(/<[^>]*>/g, ' '),
+  };
+}
+
+/**
+ * Mark the words of text whose term is in `terms` with **…**, and cut a window
+ * of about `length` characters around the first match (the whole text when length is 0)
+ */
+function highlight(text, terms, length = 0) {
+  const matches = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (terms.has(stem(foldText(match[0])))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  let from = 0;
+  let to = text.length;
+  if (length > 0 && text.length > length) {
+    const anchor = matches.length > 0 ? matches[0].start : 0;
+    from = Math.max(0, anchor - Math.floor(length / 3));
+    to = Math.min(text.length, from + length);
+  }
+
+  let result = '';
+  let position = from;
+  for (const { start, end } of matches) {
+    if (start < from || end > to) continue;
+    result += `${text.slice(position, start)}**${text.slice(start, end)}**`;
+    position = end;
+  }
+  result += text.slice(position, to);
+  return `${from > 0 ? '…' : ''}${result.trim()}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Highlighted title and description excerpt of a dataset for the given terms
+ */
+function datasetSnippets(ds, terms) {
+  const fields = datasetFields(ds);
+  return {
+    title: highlight(fields.title, terms),
+    description: highlight(fields.description.replace(/\s+/g, ' ').trim(), terms, SNIPPET_LENGTH),
+  };
+}
+
+/**
+ * BM25F index over the datasets of a catalog
+ */
+class SearchIndex {
+  constructor(datasets) {
+    this.datasets = datasets;
+    this.postings = new Map(); // term -> Map(doc index -> { field: tf })
+    this.fieldLengths = datasets.map(() => ({}));
+    this.averageLengths = {};
+
+    datasets.forEach((ds, doc) => {
+      const fields = datasetFields(ds);
+      for (const field of Object.keys(SEARCH_FIELDS)) {
+        const terms = tokenize(fields[field]);
+        this.fieldLengths[doc][field] = terms.length;
+        this.averageLengths[field] = (this.averageLengths[field] || 0) + terms.length;
+        for (const term of terms) {
+          if (!this.postings.has(term)) this.postings.set(term, new Map());
+          const docs = this.postings.get(term);
+          if (!docs.has(doc)) docs.set(doc, {});
+          const frequencies = docs.get(doc);
+          frequencies[field] = (frequencies[field] || 0) + 1;
+        }
+      }
+    });
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+      this.averageLengths[field] = datasets.length > 0 ? this.averageLengths[field] / datasets.length || 1 : 1;
+    }
+  }
+
+  // Index terms for a query word: the word itself, or the indexed terms it is a prefix of
+  expandTerm(term) {
+    if (this.postings.has(term) || term.length < PREFIX_MIN_LENGTH) {
+      return [term];
+    }
+    return [...this.postings.keys()].filter((candidate) => candidate.startsWith(term));
+  }
+
+  /**
+   * Rank the datasets matching any query term.
+   * Resolves to { total, results } where results are the `limit` best
+   * [{ dataset, score, snippets: { title, description } }].
+   */
+  search(query, { limit = 50 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const scores = new Map();
+    const matched = new Map();
+    const total = this.datasets.length;
+
+    for (const queryTerm of queryTerms) {
+      for (const term of this.expandTerm(queryTerm)) {
+        const docs = this.postings.get(term);
+        if (!docs) continue;
+        const idf = Math.log(1 + (total - docs.size + 0.5) / (docs.size + 0.5));
+        for (const [doc, frequencies] of docs) {
+          let weighted = 0;
+          for (const [field, tf] of Object.entries(frequencies)) {
+            const norm = 1 - B + (B * this.fieldLengths[doc][field]) / this.averageLengths[field];
+            weighted += (SEARCH_FIELDS[field] * tf) / norm;
+          }
+          scores.set(doc, (scores.get(doc) || 0) + (idf * weighted) / (K1 + weighted));
+          if (!matched.has(doc)) matched.set(doc, new Set());
+          matched.get(doc).add(term);
+        }
+      }
+    }
+
+    const results = [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([doc, score]) => ({
+        dataset: this.datasets[doc],
+        score: Math.round(score * 1000) / 1000,
+        snippets: datasetSnippets(this.datasets[doc], matched.get(doc)),
+      }));
+    return { total: scores.size, results };
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  foldText,
+  tokenize,
+  datasetSnippets,
+};
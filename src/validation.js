@@ -0,0 +1,95 @@
+/**
+ * Validation of tool arguments against the inputSchema of each tool
+ *
+ * Arguments are coerced (numeric and boolean strings), completed with the
+ * schema defaults, and checked. Every violation is reported at once in a
+ * -32602 error whose data lists the offending arguments.
+ */
+
+const Ajv = require('ajv');
+const { RPC_ERRORS, ProtocolError } = require('./errors.js');
+
+// The portal rejects offset + limit above this
+const MAX_OFFSET_PLUS_LIMIT = 10000;
+
+// verbose gives errors their schema, so a schema can carry its own errorMessage
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false, verbose: true });
+
+// Keywords whose errors only restate the failure of a nested schema, which is reported itself
+const WRAPPER_KEYWORDS = new Set(['if']);
+
+// Argument an Ajv error is about, as a dotted path
+function argumentPath(error) {
+  const path = error.instancePath.split('/').slice(1).join('.');
+  if (error.keyword === 'required') {
+    return path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty;
+  }
+  return path || '(arguments)';
+}
+
+function violationMessage(error) {
+  if (error.parentSchema?.errorMessage) {
+    return error.parentSchema.errorMessage;
+  }
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'enum':
+      return `must be one of ${error.params.allowedValues.join(', ')}`;
+    default:
+      return error.message;
+  }
+}
+
+// Value at a dotted path of the arguments as the client sent them
+function valueAt(args, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), args);
+}
+
+/**
+ * Build the validator of a list of tool definitions.
+ * The returned function takes (toolName, args) and resolves to the validated
+ * arguments, or throws a ProtocolError with data.violations = [{ argument, message, value }].
+ */
+function createToolValidator(tools) {
+  const validators = new Map(tools.map((tool) => [tool.name, ajv.compile(tool.inputSchema)]));
+
+  return (toolName, args = {}) => {
+    const validate = validators.get(toolName);
+    if (!validate) {
+      throw new ProtocolError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${toolName}`);
+    }
+
+    // Ajv coerces and fills in defaults in place
+    const validated = structuredClone(args);
+    const violations = [];
+    if (!validate(validated)) {
+      for (const error of validate.errors.filter((e) => !WRAPPER_KEYWORDS.has(e.keyword))) {
+        const argument = argumentPath(error);
+        violations.push({ argument, message: violationMessage(error), value: valueAt(args, argument) });
+      }
+    }
+    const { offset, limit } = validated;
+    if (Number.isInteger(offset) && Number.isInteger(limit) && offset + limit > MAX_OFFSET_PLUS_LIMIT) {
+      violations.push({
+        argument: 'offset',
+        message: `plus limit must be at most ${MAX_OFFSET_PLUS_LIMIT} (got ${offset} + ${limit})`,
+        value: args.offset,
+      });
+    }
+
+    if (violations.length > 0) {
+      throw new ProtocolError(
+        RPC_ERRORS.INVALID_PARAMS,
+        `Invalid arguments for tool ${toolName}: ${violations.map((v) => `${v.argument} ${v.message}`).join('; ')}`,
+        { tool: toolName, violations }
+      );
+    }
+    return validated;
+  };
+}
+
+module.exports = {
+  MAX_OFFSET_PLUS_LIMIT,
+  createToolValidator,
+};
@@ -0,0 +1,245 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryLRUStore, FileStore, RedisStore, TieredCache, runWithCacheTrace } = require('../src/cache.js');
+
+// Fetcher answering with the next response, recording the validators it was called with
+function fakeFetcher(...responses) {
+  const calls = [];
+  const fetcher = async (validators) => {
+    calls.push(validators);
+    return responses[Math.min(calls.length, responses.length) - 1];
+  };
+  return { fetcher, calls };
+}
+
+describe('TieredCache', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  function createCache(options = {}) {
+    return new TieredCache({ stores: [new MemoryLRUStore()], ttls: { records: 1000 }, staleTtl: 500, ...options });
+  }
+
+  it('fetches on a miss, then serves hits within the TTL', async () => {
+    const cache = createCache();
+    const { fetcher, calls } = fakeFetcher({ data: { n: 1 } });
+
+    assert.deepEqual(await cache.getOrFetch('records', 'k', fetcher), { data: { n: 1 }, status: 'miss' });
+    mock.timers.tick(999);
+    assert.deepEqual(await cache.getOrFetch('records', 'k', fetcher), { data: { n: 1 }, status: 'hit' });
+    assert.equal(calls.length, 1);
+  });
+
+  it('serves stale entries while refreshing them in the background', async () => {
+    const cache = createCache();
+    const { fetcher, calls } = fakeFetcher({ data: 'old' }, { data: 'new' });
+
+    await cache.getOrFetch('records', 'k', fetcher);
+    mock.timers.tick(1200);
+    assert.deepEqual(await cache.getOrFetch('records', 'k', fetcher), { data: 'old', status: 'stale' });
+    await cache.pending.get('k');
+
+    assert.equal(calls.length, 2);
+    assert.deepEqual(await cache.getOrFetch('records', 'k', fetcher), { data: 'new', status: 'hit' });
+  });
+
+  it('revalidates expired entries with their validators', async () => {
+    const cache = createCache({ staleTtl: 0 });
+    const { fetcher, calls } = fakeFetcher({ data: 'v1', etag: '"abc"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' }, { notModified: true });
+
+    await cache.getOrFetch('records', 'k', fetcher);
+    mock.timers.tick(1000);
+    assert.deepEqual(await cache.getOrFetch('records', 'k', fetcher), { data: 'v1', status: 'revalidated' });
+    assert.deepEqual(calls[1], { etag: '"abc"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' });
+
+    // The revalidated entry is fresh again
+    mock.timers.tick(999);
+    assert.equal((await cache.getOrFetch('records', 'k', fetcher)).status, 'hit');
+  });
+
+  it('fetches again past the stale window', async () => {
+    const cache = createCache();
+    const { fetcher } = fakeFetcher({ data: 'v1' }, { data: 'v2' });
+
+    await cache.getOrFetch('records', 'k', fetcher);
+    mock.timers.tick(1500);
+    assert.deepEqual(await cache.getOrFetch('records', 'k', fetcher), { data: 'v2', status: 'miss' });
+  });
+
+  it('uses the default TTL for kinds without one', async () => {
+    const cache = createCache({ defaultTtl: 50, staleTtl: 0 });
+    const { fetcher } = fakeFetcher({ data: 'v1' }, { data: 'v2' });
+
+    await cache.getOrFetch('other', 'k', fetcher);
+    mock.timers.tick(50);
+    assert.equal((await cache.getOrFetch('other', 'k', fetcher)).status, 'miss');
+  });
+
+  it('shares one upstream call between concurrent lookups of a key', async () => {
+    const cache = createCache();
+    const { fetcher, calls } = fakeFetcher({ data: 'v1' });
+
+    const results = await Promise.all([cache.getOrFetch('records', 'k', fetcher), cache.getOrFetch('records', 'k', fetcher)]);
+    assert.deepEqual(results.map((result) => result.data), ['v1', 'v1']);
+    assert.equal(calls.length, 1);
+  });
+
+  it('promotes entries found in a slower store', async () => {
+    const fast = new MemoryLRUStore();
+    const slow = new MemoryLRUStore();
+    await slow.set('k', { kind: 'records', data: 'slow', storedAt: Date.now() });
+    const cache = new TieredCache({ stores: [fast, slow], ttls: { records: 1000 } });
+
+    assert.deepEqual(await cache.getOrFetch('records', 'k', fakeFetcher().fetcher), { data: 'slow', status: 'hit' });
+    assert.equal((await fast.get('k')).data, 'slow');
+  });
+
+  it('deletes entries from every store', async () => {
+    const stores = [new MemoryLRUStore(), new MemoryLRUStore()];
+    const cache = new TieredCache({ stores });
+    await cache.getOrFetch('records', 'k', fakeFetcher({ data: 'v1' }).fetcher);
+
+    await cache.delete('k');
+    assert.deepEqual(await Promise.all(stores.map((store) => store.get('k'))), [null, null]);
+  });
+
+  it('records lookups in the cache trace', async () => {
+    const cache = createCache();
+    const { fetcher } = fakeFetcher({ data: 'v1' });
+
+    const { result, trace } = await runWithCacheTrace(async () => {
+      await cache.getOrFetch('records', 'k', fetcher);
+      await cache.getOrFetch('records', 'k', fetcher);
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.deepEqual(trace, [
+      { kind: 'records', status: 'miss' },
+      { kind: 'records', status: 'hit' },
+    ]);
+  });
+});
+
+describe('MemoryLRUStore', () => {
+  const entry = (data) => ({ kind: 'records', data, storedAt: 0 });
+
+  it('evicts the least recently used entry past maxEntries', async () => {
+    const store = new MemoryLRUStore({ maxEntries: 2 });
+    await store.set('a', entry(1));
+    await store.set('b', entry(2));
+    await store.get('a');
+    await store.set('c', entry(3));
+
+    assert.equal(await store.get('b'), null);
+    assert.equal((await store.get('a')).data, 1);
+    assert.equal((await store.get('c')).data, 3);
+  });
+
+  it('evicts entries past maxBytes and skips entries larger than it', async () => {
+    const store = new MemoryLRUStore({ maxBytes: 10 });
+    await store.set('a', entry('12345'));
+    await store.set('b', entry('12345'));
+
+    assert.equal(await store.get('a'), null);
+    assert.equal(store.totalBytes, 7);
+
+    await store.set('huge', entry('x'.repeat(20)));
+    assert.equal(await store.get('huge'), null);
+    assert.equal((await store.get('b')).data, '12345');
+  });
+
+  it('replaces an entry without counting it twice', async () => {
+    const store = new MemoryLRUStore();
+    await store.set('a', entry('123'));
+    await store.set('a', entry('123'));
+    assert.equal(store.totalBytes, 5);
+    await store.delete('a');
+    assert.equal(store.totalBytes, 0);
+  });
+});
+
+describe('FileStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hg-mcp-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('stores entries as JSON files and reads them back', async () => {
+    const store = new FileStore({ directory: path.join(directory, 'nested') });
+    const entry = { kind: 'metadata', data: { dataset_id: 'a' }, etag: '"1"', storedAt: 42 };
+
+    await store.set('metadata:public:/a', entry);
+    assert.deepEqual(await store.get('metadata:public:/a'), { ...entry, key: 'metadata:public:/a' });
+    assert.equal(fs.readdirSync(path.join(directory, 'nested')).length, 1);
+
+    await store.delete('metadata:public:/a');
+    assert.equal(await store.get('metadata:public:/a'), null);
+  });
+
+  it('reads missing and unreadable files as misses', async () => {
+    const store = new FileStore({ directory });
+    await store.ready;
+    assert.equal(await store.get('missing'), null);
+
+    fs.writeFileSync(store.filePath('broken'), '{not json');
+    assert.equal(await store.get('broken'), null);
+  });
+});
+
+describe('RedisStore', () => {
+  // In-memory stand-in with the node-redis v4 method names
+  function fakeRedisClient() {
+    const values = new Map();
+    const expiries = new Map();
+    return {
+      values,
+      expiries,
+      get: async (key) => values.get(key) ?? null,
+      set: async (key, value) => {
+        values.set(key, value);
+      },
+      del: async (key) => {
+        values.delete(key);
+      },
+      pExpire: async (key, ms) => {
+        expiries.set(key, ms);
+      },
+    };
+  }
+
+  it('stores prefixed JSON values with an expiry', async () => {
+    const client = fakeRedisClient();
+    const store = new RedisStore({ client, prefix: 'test:', maxAgeMs: 1000 });
+    const entry = { kind: 'records', data: [1, 2], storedAt: 1 };
+
+    await store.set('k', entry);
+    assert.equal(client.values.get('test:k'), JSON.stringify(entry));
+    assert.equal(client.expiries.get('test:k'), 1000);
+    assert.deepEqual(await store.get('k'), entry);
+
+    await store.delete('k');
+    assert.equal(await store.get('k'), null);
+  });
+
+  it('works with clients without pExpire', async () => {
+    const client = fakeRedisClient();
+    delete client.pExpire;
+    const store = new RedisStore({ client });
+
+    await store.set('k', { data: 1 });
+    assert.deepEqual(await store.get('k'), { data: 1 });
+  });
+});
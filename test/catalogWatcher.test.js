@@ -0,0 +1,160 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { CatalogWatcher } = require('../src/catalogWatcher.js');
+const { configureLogger } = require('../src/logger.js');
+
+const entry = (id, modified = '2026-01-01T00:00:00Z', dataProcessed = modified) => ({
+  dataset_id: id,
+  metas: { default: { modified, data_processed: dataProcessed } },
+});
+
+// Fake portals: a catalog per portal; every call is recorded
+function createWatcher(catalogs, portals = Object.keys(catalogs)) {
+  const calls = [];
+  const changedSince = (portal, since) =>
+    catalogs[portal].filter((ds) => Date.parse(ds.metas.default.modified) >= since.getTime());
+  const watcher = new CatalogWatcher({
+    portals: () => portals,
+    loadDatasetIds: async (portal) => {
+      calls.push(['ids', portal]);
+      return { total_count: catalogs[portal].length, results: catalogs[portal].map((ds) => ({ dataset_id: ds.dataset_id })) };
+    },
+    loadChangedDatasets: async (portal, since) => {
+      calls.push(['changed', portal, since.toISOString()]);
+      const results = changedSince(portal, since);
+      return { total_count: results.length, results };
+    },
+    countDatasets: async (portal) => {
+      calls.push(['count', portal]);
+      return catalogs[portal].length;
+    },
+    intervalMs: 60000,
+  });
+  const events = [];
+  watcher.on('listChanged', (event) => events.push(['listChanged', event]));
+  watcher.on('datasetUpdated', (event) => events.push(['datasetUpdated', event]));
+  return { watcher, calls, events };
+}
+
+const NOW = Date.parse('2026-10-01T12:00:00Z');
+
+beforeEach(() => {
+  configureLogger({ level: 'silent' });
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  configureLogger({ level: 'info' });
+});
+
+describe('CatalogWatcher', () => {
+  it('only polls the watched portals', async () => {
+    const { watcher, calls } = createWatcher({ a: [entry('x')], b: [entry('y')] }, ['a']);
+    await watcher.poll();
+    assert.deepEqual(
+      calls.map(([kind, portal]) => `${kind} ${portal}`),
+      ['ids a', 'changed a']
+    );
+  });
+
+  it('reports nothing on the first poll of a portal', async () => {
+    const { watcher, events } = createWatcher({ a: [entry('x', '2026-10-01T11:58:00Z')] });
+    await watcher.poll();
+    assert.deepEqual(events, []);
+  });
+
+  it('asks for the changes since the previous poll, with an overlap, without reloading the ids', async () => {
+    const { watcher, calls, events } = createWatcher({ a: [entry('x'), entry('y')] });
+    await watcher.poll();
+    mock.timers.tick(60000);
+    calls.length = 0;
+    await watcher.poll();
+    assert.deepEqual(calls, [
+      ['changed', 'a', '2026-10-01T11:55:00.000Z'],
+      ['count', 'a'],
+    ]);
+    assert.deepEqual(events, []);
+  });
+
+  it('reports a dataset modified since the previous poll once', async () => {
+    const catalog = [entry('x'), entry('y')];
+    const { watcher, events } = createWatcher({ a: catalog });
+    await watcher.poll();
+
+    mock.timers.tick(60000);
+    catalog[1] = entry('y', new Date().toISOString());
+    await watcher.poll();
+    assert.deepEqual(events, [['datasetUpdated', { portal: 'a', datasetId: 'y' }]]);
+
+    // Still inside the overlap of the next poll, with the same version
+    mock.timers.tick(60000);
+    await watcher.poll();
+    assert.equal(events.length, 1);
+  });
+
+  it('reloads the ids when the count changes, and reports added and removed datasets', async () => {
+    const catalogs = { a: [entry('x'), entry('y')] };
+    const { watcher, calls, events } = createWatcher(catalogs);
+    await watcher.poll();
+
+    mock.timers.tick(60000);
+    catalogs.a = [entry('x')];
+    calls.length = 0;
+    await watcher.poll();
+    assert.deepEqual(calls.at(-1), ['ids', 'a']);
+    assert.deepEqual(events, [
+      ['listChanged', { portal: 'a', added: [], removed: ['y'] }],
+      ['datasetUpdated', { portal: 'a', datasetId: 'y' }],
+    ]);
+  });
+
+  it('reloads the ids when an unknown dataset changed, even if the count did not', async () => {
+    const catalogs = { a: [entry('x'), entry('y')] };
+    const { watcher, events } = createWatcher(catalogs);
+    await watcher.poll();
+
+    mock.timers.tick(60000);
+    catalogs.a = [entry('x'), entry('z', new Date().toISOString())];
+    await watcher.poll();
+    assert.deepEqual(events, [
+      ['listChanged', { portal: 'a', added: ['z'], removed: ['y'] }],
+      ['datasetUpdated', { portal: 'a', datasetId: 'y' }],
+    ]);
+  });
+
+  it('starts over for a portal that is watched again', async () => {
+    const portals = ['a'];
+    const { watcher, calls } = createWatcher({ a: [entry('x')] }, portals);
+    await watcher.poll();
+    portals.pop();
+    await watcher.poll();
+    portals.push('a');
+    calls.length = 0;
+    await watcher.poll();
+    assert.deepEqual(
+      calls.map(([kind]) => kind),
+      ['ids', 'changed']
+    );
+  });
+
+  it('keeps its state when a poll fails, and catches up on the next one', async () => {
+    const catalog = [entry('x')];
+    const { watcher, events } = createWatcher({ a: catalog });
+    await watcher.poll();
+
+    mock.timers.tick(60000);
+    catalog[0] = entry('x', new Date().toISOString());
+    const countDatasets = watcher.countDatasets;
+    watcher.countDatasets = async () => {
+      throw new Error('portal down');
+    };
+    await watcher.poll();
+    assert.deepEqual(events, []);
+
+    mock.timers.tick(600000);
+    watcher.countDatasets = countDatasets;
+    await watcher.poll();
+    assert.deepEqual(events, [['datasetUpdated', { portal: 'a', datasetId: 'x' }]]);
+  });
+});
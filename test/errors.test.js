@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ToolArgumentError, classifyError, toolErrorResult } = require('../src/errors.js');
+
+describe('classifyError', () => {
+  it('classifies ToolArgumentError, wrapped or not, as invalid_arguments', () => {
+    assert.equal(classifyError(new ToolArgumentError('bad bbox')).category, 'invalid_arguments');
+    assert.equal(classifyError(new Error('wrapped', { cause: new ToolArgumentError('bad') })).category, 'invalid_arguments');
+  });
+
+  it('classifies any other error as internal', () => {
+    assert.deepEqual(classifyError(new Error('No communes dataset found')), { category: 'internal', message: 'No communes dataset found' });
+    assert.equal(classifyError(new TypeError('x is undefined')).category, 'internal');
+  });
+
+  it('classifies portal responses by HTTP status, with the portal message', () => {
+    const httpError = (status, data) => Object.assign(new Error('Request failed'), { response: { status, data } });
+    assert.deepEqual(classifyError(httpError(400, { message: 'Invalid ODSQL' })), {
+      category: 'invalid_query',
+      status: 400,
+      message: 'The portal answered HTTP 400: Invalid ODSQL',
+    });
+    assert.equal(classifyError(httpError(404, Buffer.from('{"message":"Unknown dataset"}'))).message, 'The portal answered HTTP 404: Unknown dataset');
+    assert.equal(classifyError(httpError(403)).category, 'access_denied');
+    assert.equal(classifyError(httpError(429)).category, 'rate_limited');
+    assert.equal(classifyError(httpError(503)).category, 'upstream_error');
+  });
+
+  it('classifies network failures and open circuits as unavailable', () => {
+    assert.equal(classifyError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })).category, 'unavailable');
+    const open = Object.assign(new Error('circuit open'), { name: 'PortalUnavailableError', retryAfterMs: 1500 });
+    assert.deepEqual(classifyError(open), { category: 'unavailable', message: 'circuit open', retryAfterMs: 1500 });
+    assert.deepEqual(toolErrorResult(open)._meta, { error: { category: 'unavailable', retry_after_s: 2 } });
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findInseeField, findCommuneCodeField, isInseeCode, isInseeFieldValue } = require('../src/geo.js');
+
+describe('INSEE code fields', () => {
+  it('picks fields named after the INSEE code, but not generic commune code fields', () => {
+    assert.equal(findInseeField([{ name: 'nom', type: 'text' }, { name: 'insee_com', type: 'text' }]).name, 'insee_com');
+    assert.equal(findInseeField([{ name: 'cog', type: 'text', label: 'Code INSEE' }]).name, 'cog');
+    assert.equal(findInseeField([{ name: 'code_commune', type: 'text' }]), null);
+    assert.equal(findCommuneCodeField([{ name: 'code_commune', type: 'int' }]).name, 'code_commune');
+  });
+
+  it('checks the INSEE code format', () => {
+    assert.ok(isInseeCode('31555'));
+    assert.ok(isInseeCode(' 2a004 '));
+    assert.ok(!isInseeCode('555'));
+    assert.ok(!isInseeCode('31555-1'));
+  });
+
+  it('checks values of text and int fields', () => {
+    const text = { name: 'code_commune', type: 'text' };
+    const int = { name: 'code_commune', type: 'int' };
+    assert.ok(isInseeFieldValue(text, '01001'));
+    assert.ok(!isInseeFieldValue(text, '555'));
+    assert.ok(isInseeFieldValue(int, 1001));
+    assert.ok(isInseeFieldValue(int, 31555));
+    assert.ok(!isInseeFieldValue(int, 555));
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { REDACTED, configureLogger, createLogger, redact } = require('../src/logger.js');
+const { runWithRequestContext } = require('../src/requestContext.js');
+
+describe('redact', () => {
+  it('redacts the values of secret keys, at any depth', () => {
+    assert.deepEqual(redact({ headers: { Authorization: 'Apikey abc', Accept: 'application/json' }, apikey: 'abc', nested: [{ token: 't' }] }), {
+      headers: { Authorization: REDACTED, Accept: 'application/json' },
+      apikey: REDACTED,
+      nested: [{ token: REDACTED }],
+    });
+  });
+
+  it('redacts secrets inside strings', () => {
+    assert.equal(redact('GET /records?limit=1&apikey=abc&where=x'), `GET /records?limit=1&apikey=${REDACTED}&where=x`);
+    assert.equal(redact('sent Bearer abc.def-123'), `sent Bearer ${REDACTED}`);
+  });
+
+  it('serializes URLSearchParams, with arrays for repeated names', () => {
+    const params = new URLSearchParams([
+      ['where', 'commune = "Muret"'],
+      ['refine', 'theme:Culture'],
+      ['refine', 'publisher:CD31'],
+      ['apikey', 'abc'],
+    ]);
+    assert.deepEqual(redact({ params }), {
+      params: { where: 'commune = "Muret"', refine: ['theme:Culture', 'publisher:CD31'], apikey: REDACTED },
+    });
+  });
+
+  it('logs errors by name, message and code', () => {
+    const error = Object.assign(new Error('failed for ?token=abc'), { code: 'ECONNRESET' });
+    assert.deepEqual(redact(error), { name: 'Error', message: `failed for ?token=${REDACTED}`, code: 'ECONNRESET' });
+    assert.match(redact(error, { withStack: true }).stack, /^Error: failed/);
+  });
+});
+
+describe('createLogger', () => {
+  let lines;
+
+  beforeEach(() => {
+    lines = [];
+    configureLogger({ level: 'info', stream: { write: (line) => lines.push(JSON.parse(line)) } });
+  });
+
+  afterEach(() => {
+    configureLogger({ level: 'info', stream: process.stdout });
+  });
+
+  it('writes one JSON line with the request context and the fields', () => {
+    runWithRequestContext({ requestId: 'req-1', clientId: 'team-a' }, () => {
+      createLogger('test').info('Upstream request', { params: new URLSearchParams({ limit: '10' }), status: 200 });
+    });
+    assert.equal(lines.length, 1);
+    const [entry] = lines;
+    assert.equal(typeof entry.time, 'string');
+    assert.deepEqual(
+      { ...entry, time: undefined },
+      {
+        time: undefined,
+        level: 'info',
+        component: 'test',
+        msg: 'Upstream request',
+        request_id: 'req-1',
+        client_id: 'team-a',
+        params: { limit: '10' },
+        status: 200,
+      }
+    );
+  });
+
+  it('skips levels below the configured one', () => {
+    const log = createLogger('test');
+    log.debug('hidden');
+    configureLogger({ level: 'silent' });
+    log.error('hidden too');
+    assert.equal(lines.length, 0);
+  });
+
+  it('never lets fields override the standard properties', () => {
+    createLogger('test').warn('msg', { level: 'debug', component: 'other', store: 1 });
+    assert.equal(lines[0].level, 'warn');
+    assert.equal(lines[0].component, 'test');
+    assert.equal(lines[0].store, 1);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quoteIdentifier, quoteString, compileFilters, buildAggregateQuery } = require('../src/odsql.js');
+
+const FIELDS = [
+  { name: 'nom', type: 'text' },
+  { name: 'visiteurs', type: 'int' },
+  { name: 'surface', type: 'double' },
+  { name: 'ouverture', type: 'date' },
+  { name: 'gratuit', type: 'boolean' },
+  { name: 'geo_point_2d', type: 'geo_point_2d' },
+];
+
+describe('quoteIdentifier', () => {
+  it('wraps names in backticks and drops backticks inside', () => {
+    assert.equal(quoteIdentifier('nom'), '`nom`');
+    assert.equal(quoteIdentifier('a`b` or 1'), '`ab or 1`');
+  });
+});
+
+describe('quoteString', () => {
+  it('escapes double quotes and backslashes', () => {
+    assert.equal(quoteString('Musée "A"'), '"Musée \\"A\\""');
+    assert.equal(quoteString('a\\" or 1=1'), '"a\\\\\\" or 1=1"');
+  });
+
+  it('quotes numbers as strings', () => {
+    assert.equal(quoteString(31395), '"31395"');
+  });
+});
+
+describe('compileFilters', () => {
+  it('maps comparison operators to ODSQL symbols', () => {
+    const ops = { eq: '=', ne: '!=', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+    for (const [op, symbol] of Object.entries(ops)) {
+      assert.equal(compileFilters(FIELDS, { field: 'visiteurs', op, value: 10 }), `\`visiteurs\` ${symbol} 10`);
+    }
+  });
+
+  it('defaults to eq', () => {
+    assert.equal(compileFilters(FIELDS, { field: 'nom', value: 'Muret' }), '`nom` = "Muret"');
+  });
+
+  it('compiles between, in, search, starts_with and null checks', () => {
+    assert.equal(
+      compileFilters(FIELDS, { field: 'visiteurs', op: 'between', value: [1, 5] }),
+      '(`visiteurs` >= 1 and `visiteurs` <= 5)'
+    );
+    assert.equal(
+      compileFilters(FIELDS, { field: 'nom', op: 'in', value: ['A', 'B'] }),
+      '(`nom` = "A" or `nom` = "B")'
+    );
+    assert.equal(compileFilters(FIELDS, { field: 'nom', op: 'search', value: 'musée' }), 'search(`nom`, "musée")');
+    assert.equal(compileFilters(FIELDS, { field: 'nom', op: 'starts_with', value: 'Tou' }), 'startswith(`nom`, "Tou")');
+    assert.equal(compileFilters(FIELDS, { field: 'nom', op: 'is_null' }), '`nom` is null');
+    assert.equal(compileFilters(FIELDS, { field: 'nom', op: 'is_not_null' }), '`nom` is not null');
+  });
+
+  it('combines and, or and not', () => {
+    const where = compileFilters(FIELDS, {
+      and: [{ field: 'gratuit', value: true }, { not: { or: [{ field: 'visiteurs', op: 'lt', value: 5 }, { field: 'nom', op: 'is_null' }] } }],
+    });
+    assert.equal(where, '(`gratuit` = true and not ((`visiteurs` < 5 or `nom` is null)))');
+  });
+
+  it('escapes string values', () => {
+    assert.equal(compileFilters(FIELDS, { field: 'nom', value: '" or 1=1 or "' }), '`nom` = "\\" or 1=1 or \\""');
+  });
+
+  it('normalizes dates to ISO 8601 instead of passing the caller string through', () => {
+    assert.equal(
+      compileFilters(FIELDS, { field: 'ouverture', op: 'gte', value: '2024-01-01' }),
+      "`ouverture` >= date'2024-01-01T00:00:00.000Z'"
+    );
+    assert.equal(
+      compileFilters(FIELDS, { field: 'ouverture', op: 'lt', value: '2024-03-01T12:30:00+01:00' }),
+      "`ouverture` < date'2024-03-01T11:30:00.000Z'"
+    );
+  });
+
+  it('rejects values that do not fit the field type', () => {
+    assert.throws(() => compileFilters(FIELDS, { field: 'ouverture', value: "2024-01-01' or '1" }), /expected an ISO 8601 date/);
+    assert.throws(() => compileFilters(FIELDS, { field: 'visiteurs', value: '10' }), /expected a number/);
+    assert.throws(() => compileFilters(FIELDS, { field: 'visiteurs', value: 1.5 }), /expected an integer/);
+    assert.throws(() => compileFilters(FIELDS, { field: 'gratuit', value: 'yes' }), /expected true or false/);
+  });
+
+  it('rejects unknown fields', () => {
+    assert.throws(() => compileFilters(FIELDS, { field: 'nope', value: 1 }), /filters\.field: unknown field "nope"/);
+  });
+
+  it('rejects unknown operators, including the former contains', () => {
+    assert.throws(() => compileFilters(FIELDS, { field: 'nom', op: 'like', value: 'x' }), /unsupported operator "like"/);
+    assert.throws(() => compileFilters(FIELDS, { field: 'nom', op: 'contains', value: 'x' }), /unsupported operator "contains"/);
+  });
+
+  it('rejects operators on field types they do not apply to', () => {
+    assert.throws(() => compileFilters(FIELDS, { field: 'nom', op: 'gt', value: 'a' }), /cannot be used on "nom" \(text\)/);
+    assert.throws(() => compileFilters(FIELDS, { field: 'geo_point_2d', value: 'x' }), /cannot be used on "geo_point_2d"/);
+  });
+
+  it('reports every problem with its path', () => {
+    assert.throws(
+      () => compileFilters(FIELDS, { or: [{ field: 'nope' }, { field: 'nom', op: 'between', value: 'x' }] }),
+      (error) =>
+        error.message.includes('filters.or[0].field: unknown field "nope"') &&
+        error.message.includes('filters.or[1].op: operator "between" cannot be used') &&
+        error.message.includes('Available fields: nom (text)')
+    );
+  });
+});
+
+describe('buildAggregateQuery', () => {
+  it('counts records by default', () => {
+    assert.deepEqual(buildAggregateQuery(FIELDS, {}), { select: 'count(*) as count' });
+  });
+
+  it('builds select, group_by and order_by with quoted fields', () => {
+    assert.deepEqual(
+      buildAggregateQuery(FIELDS, {
+        group_by: ['nom'],
+        metrics: [{ function: 'sum', field: 'visiteurs', alias: 'total' }, { function: 'max', field: 'ouverture' }],
+        order_by: 'total desc, nom',
+      }),
+      {
+        select: '`nom`, sum(`visiteurs`) as total, max(`ouverture`) as max_ouverture',
+        group_by: '`nom`',
+        order_by: 'total desc, `nom` asc',
+      }
+    );
+  });
+
+  it('rejects unknown fields, functions, bad aliases and order terms', () => {
+    assert.throws(() => buildAggregateQuery(FIELDS, { group_by: ['nope'] }), /Unknown group_by field "nope"/);
+    assert.throws(() => buildAggregateQuery(FIELDS, { metrics: [{ function: 'median', field: 'visiteurs' }] }), /unsupported function "median"/);
+    assert.throws(() => buildAggregateQuery(FIELDS, { metrics: [{ function: 'sum', field: 'nom' }] }), /needs a numeric field/);
+    assert.throws(
+      () => buildAggregateQuery(FIELDS, { metrics: [{ function: 'count', alias: 'x) from y; --' }] }),
+      /invalid alias/
+    );
+    assert.throws(() => buildAggregateQuery(FIELDS, { group_by: ['nom'], order_by: 'visiteurs desc' }), /must be a group_by field or a metric alias/);
+    assert.throws(() => buildAggregateQuery(FIELDS, { order_by: 'count sideways' }), /Invalid order_by term/);
+  });
+});
@@ -0,0 +1,246 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PortalClient, PortalUnavailableError, parseRetryAfter } = require('../src/portalClient.js');
+const { configureLogger } = require('../src/logger.js');
+const { runWithRequestContext } = require('../src/requestContext.js');
+
+// Axios-style errors and responses
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers, data: {} } });
+const networkError = (code) => Object.assign(new Error(code), { code });
+const ok = (headers = {}) => ({ status: 200, headers, data: { results: [] } });
+
+// Let pending promise callbacks run (setImmediate is not mocked)
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+async function advance(ms) {
+  await flush();
+  mock.timers.tick(ms);
+  await flush();
+}
+
+// Client whose http.get answers with the given outcomes in turn (Errors are thrown)
+function createClient(outcomes, options = {}) {
+  const client = new PortalClient({ name: 'test', baseUrl: 'http://portal.test', ...options });
+  const calls = [];
+  client.http.get = async (path, config) => {
+    calls.push({ path, config });
+    const outcome = outcomes[Math.min(calls.length, outcomes.length) - 1];
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  };
+  return { client, calls };
+}
+
+// Settle a promise without an unhandled rejection while timers are advanced
+function settle(promise) {
+  const state = { done: false };
+  promise.then(
+    (value) => Object.assign(state, { done: true, value }),
+    (error) => Object.assign(state, { done: true, error })
+  );
+  return state;
+}
+
+beforeEach(() => {
+  configureLogger({ level: 'silent' });
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  // Backoff uses the whole jitter range: delays are exactly base * 2^attempt
+  mock.method(Math, 'random', () => 1);
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+  configureLogger({ level: 'info' });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads delta seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter(new Date(Date.now() + 5000).toUTCString()), 5000);
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('PortalClient retries', () => {
+  it('retries retryable failures with exponential backoff', async () => {
+    const { client, calls } = createClient([httpError(503), networkError('ECONNRESET'), ok()], { retryBaseDelayMs: 100 });
+    const result = settle(client.get('/catalog/datasets'));
+
+    await advance(0);
+    assert.equal(calls.length, 1);
+    await advance(99);
+    assert.equal(calls.length, 1);
+    await advance(1);
+    assert.equal(calls.length, 2);
+    await advance(199);
+    assert.equal(calls.length, 2);
+    await advance(1);
+    assert.equal(calls.length, 3);
+    assert.equal(result.value.status, 200);
+  });
+
+  it('caps the backoff at retryMaxDelayMs', () => {
+    const client = new PortalClient({ baseUrl: 'http://portal.test', retryBaseDelayMs: 100, retryMaxDelayMs: 250 });
+    assert.deepEqual([0, 1, 2, 3].map((attempt) => client.backoffDelay(attempt)), [100, 200, 250, 250]);
+  });
+
+  it('gives up after maxRetries with the last error', async () => {
+    const { client, calls } = createClient([httpError(502)], { maxRetries: 2, retryBaseDelayMs: 10 });
+    const result = settle(client.get('/x'));
+
+    await advance(10);
+    await advance(20);
+    assert.equal(calls.length, 3);
+    assert.equal(result.error.response.status, 502);
+  });
+
+  it('does not retry requests the portal rejected', async () => {
+    const { client, calls } = createClient([httpError(400)]);
+    await assert.rejects(client.get('/x'), (error) => error.response.status === 400);
+    assert.equal(calls.length, 1);
+    assert.equal(client.consecutiveFailures, 0);
+  });
+
+  it('waits for Retry-After instead of the backoff delay', async () => {
+    const { client, calls } = createClient([httpError(429, { 'retry-after': '3' }), ok()]);
+    const result = settle(client.get('/x'));
+
+    await advance(2999);
+    assert.equal(calls.length, 1);
+    await advance(1);
+    assert.equal(calls.length, 2);
+    assert.equal(result.value.status, 200);
+    // 429 means busy, not down
+    assert.equal(client.consecutiveFailures, 0);
+  });
+
+  it('fails at once when Retry-After is longer than maxWaitMs', async () => {
+    const { client, calls } = createClient([httpError(503, { 'retry-after': '120' })], { maxWaitMs: 30000 });
+    await assert.rejects(client.get('/x'), (error) => error instanceof PortalUnavailableError && error.retryAfterMs === 120000);
+    assert.equal(calls.length, 1);
+  });
+
+  it('times out with a readable message', async () => {
+    const { client } = createClient([networkError('ECONNABORTED')], { maxRetries: 0, timeoutMs: 500 });
+    await assert.rejects(client.get('/slow'), /timed out after 500ms \(\/slow\)/);
+  });
+});
+
+describe('PortalClient rate limits', () => {
+  it('waits for an exhausted X-RateLimit quota to reset before the next request', async () => {
+    const { client, calls } = createClient([ok({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '5' }), ok()]);
+    await client.get('/first');
+
+    const result = settle(client.get('/second'));
+    await advance(4999);
+    assert.equal(calls.length, 1);
+    await advance(1);
+    assert.equal(calls.length, 2);
+    assert.equal(result.value.status, 200);
+  });
+
+  it('accepts an epoch reset time', async () => {
+    const resetAt = Math.floor(Date.now() / 1000) + 10;
+    const { client } = createClient([ok({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(resetAt) })]);
+    await client.get('/x');
+    assert.equal(client.rateLimitedUntil, resetAt * 1000);
+  });
+
+  it('fails without calling the portal when the reset is past maxWaitMs', async () => {
+    const { client, calls } = createClient([ok({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '3600' })]);
+    await client.get('/x');
+    await assert.rejects(client.get('/y'), (error) => error instanceof PortalUnavailableError && error.retryAfterMs === 3600000);
+    assert.equal(calls.length, 1);
+  });
+});
+
+describe('PortalClient circuit breaker', () => {
+  const breakerOptions = { maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 10000 };
+
+  async function openCircuit(client) {
+    await assert.rejects(client.get('/x'));
+    await assert.rejects(client.get('/x'));
+    assert.equal(client.circuitOpenUntil, Date.now() + 10000);
+  }
+
+  it('opens after breakerThreshold consecutive failures and fails fast while open', async () => {
+    const { client, calls } = createClient([httpError(503)], breakerOptions);
+    await openCircuit(client);
+
+    mock.timers.tick(4000);
+    await assert.rejects(client.get('/x'), (error) => error instanceof PortalUnavailableError && error.retryAfterMs === 6000);
+    assert.equal(calls.length, 2);
+  });
+
+  it('counts unreachable portals, but not rejected requests', async () => {
+    const { client } = createClient([networkError('ENOTFOUND'), httpError(404), networkError('ENOTFOUND')], breakerOptions);
+    await assert.rejects(client.get('/x'));
+    await assert.rejects(client.get('/x'));
+    await assert.rejects(client.get('/x'));
+    assert.equal(client.consecutiveFailures, 1);
+    assert.equal(client.circuitOpenUntil, 0);
+  });
+
+  it('lets a single probe through once half-open, and closes when it succeeds', async () => {
+    const { client, calls } = createClient([httpError(503), httpError(503), ok(), ok()], breakerOptions);
+    await openCircuit(client);
+    mock.timers.tick(10000);
+
+    // The probe is in flight until its response resolves; other callers fail fast meanwhile
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    const get = client.http.get;
+    client.http.get = async (...args) => {
+      await gate;
+      return get(...args);
+    };
+    const probe = client.get('/probe');
+    await assert.rejects(client.get('/other'), (error) => error instanceof PortalUnavailableError && /trial request/.test(error.message));
+
+    release();
+    assert.equal((await probe).status, 200);
+    assert.equal(client.circuitOpenUntil, 0);
+    assert.equal(client.consecutiveFailures, 0);
+
+    await client.get('/after');
+    assert.equal(calls.length, 4);
+  });
+
+  it('reopens for another cooldown when the probe fails', async () => {
+    const { client, calls } = createClient([httpError(503)], breakerOptions);
+    await openCircuit(client);
+    mock.timers.tick(10000);
+
+    await assert.rejects(client.get('/probe'), (error) => error.response.status === 503);
+    assert.equal(calls.length, 3);
+    assert.equal(client.probeInFlight, false);
+    assert.equal(client.circuitOpenUntil, Date.now() + 10000);
+    await assert.rejects(client.get('/x'), PortalUnavailableError);
+    assert.equal(calls.length, 3);
+  });
+
+  it('never opens with breakerThreshold 0', async () => {
+    const { client } = createClient([httpError(503)], { ...breakerOptions, breakerThreshold: 0 });
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(client.get('/x'), (error) => error.response.status === 503);
+    }
+    assert.equal(client.circuitOpenUntil, 0);
+  });
+});
+
+describe('PortalClient request headers', () => {
+  it('forwards the client API key for this portal and the request ID', async () => {
+    const { client, calls } = createClient([ok()]);
+    await runWithRequestContext({ requestId: 'req-1', apikeys: { test: 'secret', other: 'nope' } }, () =>
+      client.get('/x', { params: { limit: 1 }, timeoutMs: 1234 })
+    );
+    assert.deepEqual(calls[0].config.headers, { Authorization: 'Apikey secret', 'X-Request-Id': 'req-1' });
+    assert.deepEqual(calls[0].config.params, { limit: 1 });
+    assert.equal(calls[0].config.timeout, 1234);
+  });
+});
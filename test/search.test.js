@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex, foldText, tokenize, datasetSnippets } = require('../src/search.js');
+
+const dataset = (id, { title = '', keyword = [], theme = [], publisher = '', description = '' }) => ({
+  dataset_id: id,
+  metas: { default: { title, keyword, theme, publisher, description } },
+});
+
+const CORPUS = [
+  dataset('equipements-culturels', {
+    title: 'Équipements culturels',
+    keyword: ['musée', 'bibliothèque'],
+    theme: ['Culture'],
+    description: '<p>Liste des <b>équipements</b> culturels de la Haute-Garonne</p>',
+  }),
+  dataset('colleges', {
+    title: 'Collèges publics',
+    keyword: ['éducation'],
+    theme: ['Éducation'],
+    description: 'Établissements scolaires. Les équipements sportifs des collèges sont décrits ailleurs.',
+  }),
+  dataset('equipements-sportifs', {
+    title: 'Équipements sportifs',
+    keyword: ['sport', 'gymnase'],
+    theme: ['Sports'],
+    description: 'Gymnases, stades et piscines',
+  }),
+  dataset('routes-departementales', {
+    title: 'Routes départementales',
+    keyword: ['voirie'],
+    theme: ['Transports'],
+    publisher: 'Conseil départemental',
+    description: 'Réseau routier départemental',
+  }),
+  dataset('budget', {
+    title: 'Budget primitif',
+    keyword: ['finances'],
+    theme: ['Administration'],
+    description: 'Budget du département voté en séance.',
+  }),
+];
+
+const ids = ({ results }) => results.map((result) => result.dataset.dataset_id);
+
+describe('tokenize', () => {
+  it('folds case and accents', () => {
+    assert.equal(foldText('Équipements CULTURELS à Saint-Gaudens'), 'equipements culturels a saint-gaudens');
+    assert.deepEqual(tokenize('Écoles'), tokenize('ecoles'));
+  });
+
+  it('drops French stopwords', () => {
+    assert.deepEqual(tokenize('la liste des routes du département'), tokenize('liste routes département'));
+  });
+
+  it('reduces plurals and derived forms to a shared stem', () => {
+    assert.deepEqual(tokenize('équipements culturels'), tokenize('Equipement culturel'));
+    assert.deepEqual(tokenize('départementales'), tokenize('départemental'));
+    assert.deepEqual(tokenize('journaux'), tokenize('journal'));
+    assert.deepEqual(tokenize('31 2024'), ['31', '2024']);
+  });
+});
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex(CORPUS);
+
+  it('matches regardless of accents and plurals', () => {
+    assert.deepEqual(ids(index.search('equipement culturel')).slice(0, 1), ['equipements-culturels']);
+    assert.deepEqual(ids(index.search('ROUTE DEPARTEMENTALE')).slice(0, 1), ['routes-departementales']);
+    assert.deepEqual(ids(index.search('collège')), ['colleges']);
+  });
+
+  it('ranks a title match above a description match', () => {
+    // "équipements" is in both titles and in the description of the colleges
+    const ranked = ids(index.search('équipements'));
+    assert.deepEqual(ranked.slice(-1), ['colleges']);
+    assert.equal(ranked.length, 3);
+  });
+
+  it('ranks a keyword match above a description match', () => {
+    // "gymnase" is a keyword of the sports facilities; the colleges only mention "sportifs"
+    assert.deepEqual(ids(index.search('sport gymnase')).slice(0, 1), ['equipements-sportifs']);
+  });
+
+  it('adds up the scores of the query terms', () => {
+    const [best, second] = index.search('équipements sportifs').results;
+    assert.equal(best.dataset.dataset_id, 'equipements-sportifs');
+    assert.ok(best.score > second.score);
+  });
+
+  it('expands a query word to the indexed terms it starts', () => {
+    assert.deepEqual(ids(index.search('biblio')), ['equipements-culturels']);
+    // Short words are not expanded
+    assert.deepEqual(ids(index.search('bu')), []);
+  });
+
+  it('counts every match in total and returns at most limit results', () => {
+    const { total, results } = index.search('départemental équipements', { limit: 2 });
+    assert.equal(total, 4);
+    assert.equal(results.length, 2);
+  });
+
+  it('finds nothing for stopwords only or an empty catalog', () => {
+    assert.deepEqual(index.search('de la des'), { total: 0, results: [] });
+    assert.deepEqual(new SearchIndex([]).search('budget'), { total: 0, results: [] });
+  });
+});
+
+describe('datasetSnippets', () => {
+  it('highlights the matched words in the title and the description without HTML', () => {
+    const snippets = datasetSnippets(CORPUS[0], new Set(tokenize('équipement')));
+    assert.equal(snippets.title, '**Équipements** culturels');
+    assert.equal(snippets.description, 'Liste des **équipements** culturels de la Haute-Garonne');
+  });
+
+  it('cuts long descriptions around the first match', () => {
+    const long = dataset('long', { title: 'Long', description: `${'mot '.repeat(100)}piscine ${'mot '.repeat(100)}` });
+    const { description } = datasetSnippets(long, new Set(tokenize('piscine')));
+    assert.match(description, /^….*\*\*piscine\*\*.*…$/);
+    assert.ok(description.length <= 170);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_OFFSET_PLUS_LIMIT, createToolValidator } = require('../src/validation.js');
+const { ProtocolError, RPC_ERRORS } = require('../src/errors.js');
+
+// Same shapes as the query_dataset and aggregate_dataset schemas
+const TOOLS = [
+  {
+    name: 'query_dataset',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dataset_id: { type: 'string' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 100 },
+        offset: { type: 'integer', minimum: 0, default: 0 },
+        include_geometry: { type: 'boolean', default: false },
+      },
+      required: ['dataset_id'],
+    },
+  },
+  {
+    name: 'aggregate_dataset',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dataset_id: { type: 'string' },
+        group_by: { type: 'array', items: { type: 'string' } },
+        limit: { type: 'integer', minimum: 1, maximum: 20000, default: 100 },
+      },
+      required: ['dataset_id'],
+      if: { not: { required: ['group_by'] } },
+      then: { properties: { limit: { maximum: 100, errorMessage: 'must be at most 100 without group_by' } } },
+    },
+  },
+];
+
+const validate = createToolValidator(TOOLS);
+
+// Assert that validation fails with -32602 and return its violations
+function violationsOf(toolName, args) {
+  try {
+    validate(toolName, args);
+  } catch (error) {
+    assert.ok(error instanceof ProtocolError);
+    assert.equal(error.code, RPC_ERRORS.INVALID_PARAMS);
+    return error.data.violations;
+  }
+  assert.fail(`${toolName} accepted ${JSON.stringify(args)}`);
+}
+
+describe('createToolValidator', () => {
+  it('converts numeric and boolean strings', () => {
+    assert.deepEqual(validate('query_dataset', { dataset_id: 'a', limit: '20', offset: '40', include_geometry: 'true' }), {
+      dataset_id: 'a',
+      limit: 20,
+      offset: 40,
+      include_geometry: true,
+    });
+  });
+
+  it('converts a numeric dataset_id to a string', () => {
+    assert.equal(validate('query_dataset', { dataset_id: 123 }).dataset_id, '123');
+  });
+
+  it('fills in the schema defaults without changing the arguments it was given', () => {
+    const args = { dataset_id: 'a' };
+    assert.deepEqual(validate('query_dataset', args), { dataset_id: 'a', limit: 100, offset: 0, include_geometry: false });
+    assert.deepEqual(args, { dataset_id: 'a' });
+  });
+
+  it('rejects out of range values instead of clamping them', () => {
+    assert.deepEqual(violationsOf('query_dataset', { dataset_id: 'a', limit: 500 }), [
+      { argument: 'limit', message: 'must be <= 100', value: 500 },
+    ]);
+  });
+
+  it('rejects a scalar group_by', () => {
+    assert.deepEqual(violationsOf('aggregate_dataset', { dataset_id: 'a', group_by: 'commune' }), [
+      { argument: 'group_by', message: 'must be array', value: 'commune' },
+    ]);
+    assert.deepEqual(validate('aggregate_dataset', { dataset_id: 'a', group_by: ['commune'] }).group_by, ['commune']);
+  });
+
+  it(`rejects offset + limit above ${MAX_OFFSET_PLUS_LIMIT}`, () => {
+    assert.equal(validate('query_dataset', { dataset_id: 'a', offset: 9900, limit: 100 }).offset, 9900);
+    assert.deepEqual(violationsOf('query_dataset', { dataset_id: 'a', offset: '9950', limit: 100 }), [
+      { argument: 'offset', message: 'plus limit must be at most 10000 (got 9950 + 100)', value: '9950' },
+    ]);
+    // The default limit counts too
+    assert.equal(violationsOf('query_dataset', { dataset_id: 'a', offset: 9901 }).length, 1);
+  });
+
+  it('reports every violation at once', () => {
+    assert.deepEqual(violationsOf('query_dataset', { limit: 0, offset: 'x' }), [
+      { argument: 'dataset_id', message: 'is required', value: undefined },
+      { argument: 'limit', message: 'must be >= 1', value: 0 },
+      { argument: 'offset', message: 'must be integer', value: 'x' },
+    ]);
+  });
+
+  it('uses the errorMessage of a conditional schema, without the if failure itself', () => {
+    assert.deepEqual(violationsOf('aggregate_dataset', { dataset_id: 'a', limit: 500 }), [
+      { argument: 'limit', message: 'must be at most 100 without group_by', value: 500 },
+    ]);
+    assert.equal(validate('aggregate_dataset', { dataset_id: 'a', group_by: ['x'], limit: 500 }).limit, 500);
+  });
+
+  it('rejects an unknown tool', () => {
+    assert.throws(() => validate('nope', {}), (error) => error.code === RPC_ERRORS.INVALID_PARAMS && /Unknown tool: nope/.test(error.message));
+  });
+});